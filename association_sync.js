@@ -0,0 +1,304 @@
+// association_sync.js
+// Association sync from BigQuery: creates the associations a table lists and, in mirror mode,
+// removes the ones it no longer lists. The property counterpart is hubspot_update.js.
+//
+// Source rows (column names configurable through `columns`):
+//   from_object, from_id, to_object, to_id, label
+// label is optional (blank = HubSpot's default, unlabelled association). fromObject / toObject
+// fix the object types when the table holds a single pair and has no type columns.
+//
+// CSV log statuses, one row per association:
+//   EXISTS                              already associated (with that label)
+//   WOULD_CREATE / CREATED
+//   INVALID                             blank ID or object type, or unknown label; never sent
+//   ERROR                               HubSpot refused it (error holds the message)
+// mirror: only records that appear in the source as from_id are touched, and only for the
+// object pairs in the source (so mirror cannot be combined with limit: a cut source would
+// remove the associations of the rows it left out):
+//   WOULD_REMOVE / REMOVED              pair not in the source: every association between them goes
+//   WOULD_REMOVE_LABEL / REMOVED_LABEL  pair kept, a USER_DEFINED label not in the source goes
+
+const fs = require("fs");
+const path = require("path");
+
+const { withRetry, DEFAULT_RETRY } = require(path.join(__dirname, "hubspot_retry.js"));
+const { sendBisected } = require(path.join(__dirname, "batch_bisect.js"));
+const { readAssociationsBatch } = require(path.join(__dirname, "hubspot_snapshot.js"));
+const { READ_LIMIT, writeCsvAppend, chunk } = require(path.join(__dirname, "sync_util.js"));
+
+const CSV_HEADERS = ["from_object", "from_id", "to_object", "to_id", "label", "status", "error"];
+
+const DEFAULT_COLUMNS = {
+  fromObject: "from_object",
+  fromId: "from_id",
+  toObject: "to_object",
+  toId: "to_id",
+  label: "label",
+};
+
+// "contact" and "contacts" are the same type to HubSpot; group them under one name
+const OBJECT_ALIASES = { contact: "contacts", company: "companies", deal: "deals", ticket: "tickets" };
+
+/** ---------- Helpers ---------- */
+// BigQuery INT64/NUMERIC come back as wrapper objects with a `.value`
+function str(v) {
+  const x = v && typeof v === "object" && "value" in v ? v.value : v;
+  return (x ?? "").toString().trim();
+}
+
+function objectType(v) {
+  const t = str(v).toLowerCase();
+  return OBJECT_ALIASES[t] || t;
+}
+
+// label (case-insensitive) → { category, typeId } for one object pair
+async function loadLabels(hubspotClient, fromType, toType, retry) {
+  const res = await withRetry(() => hubspotClient.crm.associations.v4.schema.definitionsApi.getAll(fromType, toType), retry);
+  const out = new Map();
+  for (const d of res?.results || []) {
+    if (d.label) out.set(String(d.label).toLowerCase(), { category: d.category, typeId: d.typeId, label: d.label });
+  }
+  return out;
+}
+
+/**
+ * Sends `entries` with call(part) in batches, bisecting batches HubSpot rejects as invalid.
+ * A 207 response lists the pairs that went through in results (create: fromObjectId/toObjectId,
+ * createDefault: _from.id/to.id); with errors present the other pairs of that call are ERROR.
+ * Sets entry.status to `okStatus` or "ERROR" (+ entry.error).
+ */
+async function sendEntries(entries, call, okStatus, batchSize, retry) {
+  for (const batch of chunk(entries, batchSize)) {
+    const partial = new Map();
+
+    const res = await sendBisected(batch, async (part) => {
+      const r = await call(part);
+      if ((r?.errors || []).length) {
+        const done = new Set((r?.results || []).map((x) => `${x.fromObjectId ?? x?._from?.id}:${x.toObjectId ?? x?.to?.id}`));
+        const text = r.errors.map((e) => e?.message || e?.category).join("; ");
+        for (const e of part) if (!done.has(`${e.fromId}:${e.toId}`)) partial.set(e, text);
+      }
+      return {};
+    }, { retry });
+
+    for (const e of res.written) {
+      e.status = partial.has(e) ? "ERROR" : okStatus;
+      e.error = partial.get(e) || "";
+    }
+    for (const { item, error } of [...res.rejected, ...res.failed]) {
+      item.status = "ERROR";
+      item.error = error;
+    }
+  }
+}
+
+/**
+ * Sync HubSpot associations from BigQuery rows (see header for the row shape and statuses).
+ * Dry run unless apply=true. Unknown options throw instead of being ignored.
+ * Returns counts per status plus { rows, errors (ERROR texts), invalid (INVALID texts), outputCsvPath, note }.
+ */
+async function syncAssociationsFromBigQuery({
+  sql,
+  columns = {},
+  fromObject = null,
+  toObject = null,
+
+  apply = false,
+  mirror = false,     // remove associations of source records that the source no longer lists
+
+  batchSize = 100,
+  limit = null,
+
+  maxRetries = DEFAULT_RETRY.maxRetries,
+
+  outputCsvPath = null,
+
+  hubspotClient,
+  bigqueryClient,
+
+  ...unknownOptions
+}) {
+  const unknownKeys = Object.keys(unknownOptions);
+  if (unknownKeys.length) throw new Error(`Unknown option(s): ${unknownKeys.join(", ")}`);
+
+  if (!sql) throw new Error("Missing required arg: sql");
+  if (!hubspotClient) throw new Error("Missing required arg: hubspotClient");
+  if (!bigqueryClient) throw new Error("Missing required arg: bigqueryClient");
+  if (!(Number.isInteger(batchSize) && batchSize > 0 && batchSize <= 100)) {
+    throw new Error(`Invalid batchSize: ${batchSize} (expected 1-100)`);
+  }
+  if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+    throw new Error(`Invalid limit: ${limit} (expected a positive integer)`);
+  }
+  if (mirror && limit !== null) {
+    throw new Error("mirror cannot be combined with limit: associations of the rows left out would be removed");
+  }
+  const badColumns = Object.keys(columns).filter((k) => !(k in DEFAULT_COLUMNS));
+  if (badColumns.length) throw new Error(`Unknown column key(s): ${badColumns.join(", ")}`);
+
+  const col = { ...DEFAULT_COLUMNS, ...columns };
+  const retry = { ...DEFAULT_RETRY, maxRetries };
+
+  // SQL from file if needed
+  const query = sql.trim().endsWith(".sql") ? fs.readFileSync(path.resolve(sql), "utf8") : sql;
+
+  const [bqJob] = await bigqueryClient.createQueryJob({ query });
+  const [rows] = await bqJob.getQueryResults(limit ? { maxResults: limit } : {});
+  const sourceRows = limit ? rows.slice(0, limit) : rows;
+  console.log(`📥 ${sourceRows.length} association rows from BigQuery`);
+
+  // Group by object pair; duplicate rows collapse into one entry
+  const pairs = new Map();
+  const invalid = [];
+  for (const r of sourceRows) {
+    const e = {
+      from_object: fromObject ? objectType(fromObject) : objectType(r[col.fromObject]),
+      to_object: toObject ? objectType(toObject) : objectType(r[col.toObject]),
+      fromId: str(r[col.fromId]),
+      toId: str(r[col.toId]),
+      label: str(r[col.label]),
+      status: "",
+      error: "",
+    };
+    if (!e.from_object || !e.to_object || !e.fromId || !e.toId) {
+      invalid.push({ ...e, status: "INVALID", error: "missing object type or ID" });
+      continue;
+    }
+
+    const pairKey = `${e.from_object}→${e.to_object}`;
+    if (!pairs.has(pairKey)) pairs.set(pairKey, { from: e.from_object, to: e.to_object, entries: new Map() });
+    const key = `${e.fromId}:${e.toId}:${e.label.toLowerCase()}`;
+    if (!pairs.get(pairKey).entries.has(key)) pairs.get(pairKey).entries.set(key, e);
+  }
+
+  const results = [...invalid];
+  const removals = [];
+
+  for (const { from, to, entries } of pairs.values()) {
+    const list = Array.from(entries.values());
+    console.log(`🔗 ${from} → ${to}: ${list.length} associations in the source`);
+
+    // Labels → association type IDs
+    const labels = list.some((e) => e.label) ? await loadLabels(hubspotClient, from, to, retry) : new Map();
+    for (const e of list) {
+      if (!e.label) continue;
+      e.type = labels.get(e.label.toLowerCase());
+      if (!e.type) {
+        e.status = "INVALID";
+        e.error = `unknown ${from} → ${to} association label "${e.label}"`;
+      }
+    }
+
+    // What HubSpot has now for every source record
+    const fromIds = Array.from(new Set(list.map((e) => e.fromId)));
+    const existing = new Map();
+    for (const slice of chunk(fromIds, READ_LIMIT)) {
+      const found = await readAssociationsBatch(hubspotClient, from, slice, to);
+      for (const [id, assocs] of found) existing.set(id, new Map(assocs.map((a) => [a.id, a.types])));
+    }
+
+    const toCreate = [];
+    for (const e of list) {
+      if (e.status) continue;
+      const types = existing.get(e.fromId)?.get(e.toId);
+      const present = types && (!e.type || types.some((t) => t.typeId === e.type.typeId));
+      if (present) e.status = "EXISTS";
+      else toCreate.push(e);
+    }
+
+    // mirror: associations of source records that the source does not list (for this pair)
+    if (mirror) {
+      const wanted = new Map();
+      // a row with an unknown label still keeps its pair: the source does list it
+      for (const e of list) {
+        if (!wanted.has(e.fromId)) wanted.set(e.fromId, new Map());
+        const byTo = wanted.get(e.fromId);
+        if (!byTo.has(e.toId)) byTo.set(e.toId, new Set());
+        if (e.type) byTo.get(e.toId).add(e.type.typeId);
+      }
+
+      for (const [fromId, byTo] of wanted) {
+        for (const [toId, types] of existing.get(fromId) || []) {
+          const base = { from_object: from, to_object: to, fromId, toId, status: "", error: "" };
+          if (!byTo.has(toId)) {
+            removals.push({ ...base, label: types.map((t) => t.label).filter(Boolean).join(";"), kind: "pair" });
+            continue;
+          }
+          // only labels the source could have listed; HubSpot's own types stay with the pair
+          for (const t of types) {
+            if (t.category === "USER_DEFINED" && !byTo.get(toId).has(t.typeId)) {
+              removals.push({ ...base, label: t.label || String(t.typeId), kind: "label", type: t });
+            }
+          }
+        }
+      }
+    }
+
+    if (!apply) {
+      for (const e of toCreate) e.status = "WOULD_CREATE";
+    } else {
+      const labelled = toCreate.filter((e) => e.type);
+      const plain = toCreate.filter((e) => !e.type);
+
+      await sendEntries(labelled, (part) => hubspotClient.crm.associations.v4.batchApi.create(from, to, {
+        inputs: part.map((e) => ({
+          _from: { id: e.fromId },
+          to: { id: e.toId },
+          types: [{ associationCategory: e.type.category, associationTypeId: e.type.typeId }],
+        })),
+      }), "CREATED", batchSize, retry);
+
+      await sendEntries(plain, (part) => hubspotClient.crm.associations.v4.batchApi.createDefault(from, to, {
+        inputs: part.map((e) => ({ _from: { id: e.fromId }, to: { id: e.toId } })),
+      }), "CREATED", batchSize, retry);
+
+      const pairRemovals = removals.filter((x) => x.kind === "pair" && x.from_object === from && x.to_object === to);
+      const labelRemovals = removals.filter((x) => x.kind === "label" && x.from_object === from && x.to_object === to);
+
+      await sendEntries(pairRemovals, (part) => hubspotClient.crm.associations.v4.batchApi.archive(from, to, {
+        inputs: part.map((x) => ({ _from: { id: x.fromId }, to: [{ id: x.toId }] })),
+      }), "REMOVED", batchSize, retry);
+
+      await sendEntries(labelRemovals, (part) => hubspotClient.crm.associations.v4.batchApi.archiveLabels(from, to, {
+        inputs: part.map((x) => ({
+          _from: { id: x.fromId },
+          to: { id: x.toId },
+          types: [{ associationCategory: x.type.category, associationTypeId: x.type.typeId }],
+        })),
+      }), "REMOVED_LABEL", batchSize, retry);
+    }
+
+    results.push(...list);
+  }
+
+  if (!apply) {
+    for (const x of removals) x.status = x.kind === "pair" ? "WOULD_REMOVE" : "WOULD_REMOVE_LABEL";
+  }
+  results.push(...removals);
+
+  if (outputCsvPath) {
+    writeCsvAppend(outputCsvPath, results.map((e) => ({ ...e, from_id: e.fromId, to_id: e.toId })), CSV_HEADERS);
+  }
+
+  const counts = {};
+  for (const e of results) counts[e.status] = (counts[e.status] || 0) + 1;
+
+  for (const e of results.filter((x) => x.status === "ERROR").slice(0, 10)) {
+    console.error(`❌ ${e.from_object} ${e.fromId} → ${e.to_object} ${e.toId}: ${e.error}`);
+  }
+  console.log("📄 outputCsvPath:", outputCsvPath || "(none)");
+
+  return {
+    rows: sourceRows.length,
+    counts,
+    errors: results.filter((e) => e.status === "ERROR").map((e) => e.error),
+    invalid: results.filter((e) => e.status === "INVALID").map((e) => e.error),
+    mirror,
+    outputCsvPath: outputCsvPath || undefined,
+    note: apply ? "Applied." : "Dry run only.",
+  };
+}
+
+module.exports = {
+  syncAssociationsFromBigQuery,
+};
@@ -0,0 +1,83 @@
+// batch_bisect.js
+// Isolates bad records in HubSpot batch writes (hubspot-import-cli.js update / delete).
+//
+// A batch HubSpot rejects as a whole (400 VALIDATION_ERROR, 409 CONFLICT, 422) is retried in
+// halves until every failing part is a single record: those records are rejected, everything
+// else is still written. 207 responses already name the failing records in errors[].context.ids,
+// so those are rejected without splitting. Transient errors are retried by hubspot_retry.js and
+// never bisected; other permanent errors (401, 403, ...) fail the whole batch.
+//
+// Rejected records go to a CSV rejects file (appended, one row per record):
+//   rejected_at, object, action, id, error, properties
+
+const path = require("path");
+
+const { withRetry, errorStatus, errorText, isTransientCategory } = require(path.join(__dirname, "hubspot_retry.js"));
+const { writeCsvAppend } = require(path.join(__dirname, "sync_util.js"));
+
+// statuses that mean "something in this batch is invalid", not "this call cannot work"
+const BISECT_STATUSES = [400, 409, 422];
+
+/**
+ * Sends `items` with send(part) and bisects batch-level validation failures.
+ * keyOf(item) is the value HubSpot reports in errors[].context.ids (record ID or idProperty value).
+ * Returns { written: [item], rejected: [{ item, error }], failed: [{ item, error }], calls }.
+ */
+async function sendBisected(items, send, { keyOf = (x) => x.id, retry } = {}) {
+  const out = { written: [], rejected: [], failed: [], calls: 0 };
+
+  async function attempt(part) {
+    let res;
+    try {
+      out.calls += 1;
+      res = await withRetry(() => send(part), retry);
+    } catch (e) {
+      const error = errorText(e);
+      if (e?.transient || !BISECT_STATUSES.includes(errorStatus(e))) {
+        for (const item of part) out.failed.push({ item, error });
+        return;
+      }
+      if (part.length === 1) {
+        out.rejected.push({ item: part[0], error });
+        return;
+      }
+      const mid = Math.ceil(part.length / 2);
+      await attempt(part.slice(0, mid));
+      await attempt(part.slice(mid));
+      return;
+    }
+
+    // 207: the batch went through except for the records named in errors[]
+    const bad = new Map();
+    for (const err of res?.errors || []) {
+      for (const id of err?.context?.ids || []) bad.set(String(id), err);
+    }
+    for (const item of part) {
+      const err = bad.get(String(keyOf(item)));
+      if (!err) out.written.push(item);
+      else if (isTransientCategory(err?.category)) out.failed.push({ item, error: JSON.stringify(err) });
+      else out.rejected.push({ item, error: JSON.stringify(err) });
+    }
+  }
+
+  if (items.length) await attempt(items);
+  return out;
+}
+
+/** ---------- Rejects file ---------- */
+const REJECT_HEADERS = ["rejected_at", "object", "action", "id", "error", "properties"];
+
+/** Appends rows ({ object, action, id, error, properties? }) to the rejects CSV, writing the header once. */
+function appendRejects(filePath, rows) {
+  const now = new Date().toISOString();
+  writeCsvAppend(filePath, rows.map((r) => ({
+    ...r,
+    rejected_at: now,
+    properties: r.properties ? JSON.stringify(r.properties) : "",
+  })), REJECT_HEADERS);
+}
+
+module.exports = {
+  sendBisected,
+  appendRejects,
+};
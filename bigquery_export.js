@@ -0,0 +1,233 @@
+// bigquery_export.js
+// BigQuery destination for hubspot_export.js. Export rows are typed from the HubSpot property
+// definitions, written to a local NDJSON staging file while the export runs, then loaded with
+// one load job.
+//
+// Column types:
+//   id                          INTEGER (REQUIRED)
+//   <singular>_ids              INTEGER REPEATED (association IDs)
+//   number                      FLOAT
+//   datetime                    TIMESTAMP
+//   date                        DATE
+//   bool                        BOOLEAN
+//   enumeration, checkbox       STRING REPEATED (one element per ";"-separated value)
+//   anything else               STRING
+// Values that do not parse as their column type are loaded as NULL and counted.
+//
+// Modes (both idempotent: re-running the same export leaves the same table):
+//   replace  WRITE_TRUNCATE load: the table (and its schema) is exactly this export
+//   merge    load into <table>__staging, MERGE on id into the table (created when missing, new
+//            columns added), then drop the staging table; rows not in this export are kept
+
+const fs = require("fs");
+const path = require("path");
+
+const { bigQueryTable } = require(path.join(__dirname, "hubspot_snapshot.js"));
+
+const MODES = ["replace", "merge"];
+const COLUMN_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// getMetadata reports legacy type names
+const TYPE_ALIASES = { INT64: "INTEGER", FLOAT64: "FLOAT", BOOL: "BOOLEAN" };
+
+/** ---------- Schema ---------- */
+function columnType(def) {
+  switch (def?.type) {
+    case "number":
+      return { type: "FLOAT", mode: "NULLABLE" };
+    case "datetime":
+      return { type: "TIMESTAMP", mode: "NULLABLE" };
+    case "date":
+      return { type: "DATE", mode: "NULLABLE" };
+    case "bool":
+      return { type: "BOOLEAN", mode: "NULLABLE" };
+    case "enumeration":
+      return { type: "STRING", mode: def.fieldType === "checkbox" ? "REPEATED" : "NULLABLE" };
+    default:
+      return { type: "STRING", mode: "NULLABLE" };
+  }
+}
+
+/** Table schema for an export: id, the properties (typed by `definitions`), the association columns. */
+function bigQuerySchema(definitions, properties, associationColumns) {
+  const fields = [
+    { name: "id", type: "INTEGER", mode: "REQUIRED" },
+    ...properties.map((name) => ({ name, ...columnType(definitions.get(name)) })),
+    ...associationColumns.map((name) => ({ name, type: "INTEGER", mode: "REPEATED" })),
+  ];
+  const bad = fields.map((f) => f.name).filter((n) => !COLUMN_NAME.test(n));
+  if (bad.length) throw new Error(`Not valid BigQuery column names: ${bad.join(", ")}`);
+  return fields;
+}
+
+/** ---------- Rows ---------- */
+const toMs = (s) => (/^\d+$/.test(s) ? Number(s) : Date.parse(s));
+
+// undefined = not parseable as this type
+function scalarValue(type, s) {
+  switch (type) {
+    case "INTEGER":
+      return /^-?\d+$/.test(s) ? s : undefined;
+    case "FLOAT":
+      return Number.isFinite(Number(s)) ? Number(s) : undefined;
+    case "BOOLEAN":
+      return s === "true" ? true : s === "false" ? false : undefined;
+    case "TIMESTAMP": {
+      const ms = toMs(s);
+      return Number.isNaN(ms) ? undefined : new Date(ms).toISOString();
+    }
+    case "DATE": {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+      const ms = toMs(s);
+      return Number.isNaN(ms) ? undefined : new Date(ms).toISOString().slice(0, 10);
+    }
+    default:
+      return s;
+  }
+}
+
+/**
+ * Converts an export row (as written to CSV: strings, association IDs joined with "|") to a
+ * BigQuery row. invalid[column] counts values that were loaded as NULL.
+ */
+function toBigQueryRow(row, schema, invalid = {}) {
+  const out = {};
+  for (const f of schema) {
+    const raw = row[f.name] === null || row[f.name] === undefined ? "" : String(row[f.name]);
+
+    if (f.mode === "REPEATED") {
+      const parts = raw.split(f.type === "INTEGER" ? "|" : ";").map((x) => x.trim()).filter(Boolean);
+      const values = parts.map((x) => scalarValue(f.type, x));
+      const ok = values.filter((v) => v !== undefined);
+      if (ok.length < values.length) invalid[f.name] = (invalid[f.name] || 0) + values.length - ok.length;
+      out[f.name] = ok;
+      continue;
+    }
+
+    if (raw.trim() === "") {
+      out[f.name] = null;
+      continue;
+    }
+    const v = scalarValue(f.type, f.type === "STRING" ? raw : raw.trim());
+    if (v === undefined) invalid[f.name] = (invalid[f.name] || 0) + 1;
+    out[f.name] = v === undefined ? null : v;
+  }
+  return out;
+}
+
+/** ---------- Load ---------- */
+function qualifiedName(bigquery, table) {
+  return `${table.dataset.projectId || bigquery.projectId}.${table.dataset.id}.${table.id}`;
+}
+
+function mergeSql(target, staging, columns) {
+  const q = (c) => `\`${c}\``;
+  const set = columns.filter((c) => c !== "id").map((c) => `${q(c)} = S.${q(c)}`).join(", ");
+  return `
+    MERGE \`${target}\` T
+    USING (SELECT * FROM \`${staging}\` WHERE TRUE QUALIFY ROW_NUMBER() OVER (PARTITION BY id) = 1) S
+    ON T.id = S.id
+    WHEN MATCHED THEN UPDATE SET ${set}
+    WHEN NOT MATCHED THEN INSERT (${columns.map(q).join(", ")}) VALUES (${columns.map((c) => `S.${q(c)}`).join(", ")})
+  `;
+}
+
+// merge target: created with `schema` if missing, otherwise missing columns are added
+async function ensureMergeTarget(table, schema) {
+  const [exists] = await table.exists();
+  if (!exists) {
+    await table.create({ schema: { fields: schema } });
+    console.log(`✅ Created table: ${table.id}`);
+    return;
+  }
+
+  const [meta] = await table.getMetadata();
+  const current = meta?.schema?.fields || [];
+  const byName = new Map(current.map((f) => [f.name, f]));
+
+  const mismatched = schema.filter((f) => {
+    const c = byName.get(f.name);
+    if (!c) return false;
+    const type = TYPE_ALIASES[c.type] || c.type;
+    const repeated = (c.mode || "NULLABLE") === "REPEATED";
+    return type !== f.type || repeated !== (f.mode === "REPEATED");
+  });
+  if (mismatched.length) {
+    throw new Error(
+      `${table.id} has other types for: ${mismatched.map((f) => `${f.name} (expected ${f.type}${f.mode === "REPEATED" ? " REPEATED" : ""})`).join(", ")}; ` +
+      "reload it with --bq-mode=replace"
+    );
+  }
+
+  const missing = schema.filter((f) => !byName.has(f.name));
+  if (missing.length) {
+    await table.setMetadata({ schema: { fields: [...current, ...missing] } });
+    console.log(`➕ Added columns to ${table.id}: ${missing.map((f) => f.name).join(", ")}`);
+  }
+}
+
+/**
+ * Returns { write(rows), close() }. write() appends converted rows to the NDJSON staging file;
+ * close() loads it into `tableName` ("project.dataset.table" or "dataset.table") and removes it.
+ * close() → { table, mode, rows, invalid }.
+ */
+function openBigQuerySink({ bigquery, tableName, mode, schema, stagingPath, location = "US" }) {
+  if (!MODES.includes(mode)) throw new Error(`Invalid BigQuery mode: ${mode} (expected ${MODES.join(" or ")})`);
+
+  fs.mkdirSync(path.dirname(stagingPath), { recursive: true });
+  fs.writeFileSync(stagingPath, "", "utf8");
+  const invalid = {};
+  let rows = 0;
+
+  return {
+    async write(batch) {
+      if (!batch.length) return;
+      const lines = batch.map((r) => JSON.stringify(toBigQueryRow(r, schema, invalid)));
+      fs.appendFileSync(stagingPath, `${lines.join("\n")}\n`, "utf8");
+      rows += batch.length;
+    },
+
+    async close() {
+      const table = bigQueryTable(bigquery, tableName);
+      const [datasetExists] = await table.dataset.exists();
+      if (!datasetExists) await table.dataset.create({ location });
+
+      const load = {
+        sourceFormat: "NEWLINE_DELIMITED_JSON",
+        writeDisposition: "WRITE_TRUNCATE",
+        schema: { fields: schema },
+        location,
+      };
+
+      if (mode === "replace") {
+        await table.load(stagingPath, load);
+        console.log(`📤 Loaded ${rows} rows into ${tableName} (replace)`);
+      } else if (!rows) {
+        console.log(`📤 Nothing to merge into ${tableName}`);
+      } else {
+        await ensureMergeTarget(table, schema);
+        const staging = table.dataset.table(`${table.id}__staging`);
+        await staging.load(stagingPath, load);
+        await bigquery.query({
+          query: mergeSql(qualifiedName(bigquery, table), qualifiedName(bigquery, staging), schema.map((f) => f.name)),
+          location,
+        });
+        await staging.delete();
+        console.log(`📤 Merged ${rows} rows into ${tableName} on id`);
+      }
+
+      const bad = Object.entries(invalid);
+      if (bad.length) console.log(`⚠️ Loaded as NULL (not valid for the column type): ${bad.map(([k, n]) => `${k}=${n}`).join(", ")}`);
+
+      fs.unlinkSync(stagingPath);
+      return { table: tableName, mode, rows, invalid };
+    },
+  };
+}
+
+module.exports = {
+  MODES,
+  bigQuerySchema,
+  toBigQueryRow,
+  openBigQuerySink,
+};
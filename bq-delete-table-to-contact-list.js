@@ -5,6 +5,16 @@
  *
  * Usage:
  *   node bq-delete-table-to-contact-list.js --listName="TruSight_Delete_Candidates" [--limit=5000]
+ *   node bq-delete-table-to-contact-list.js --listName=... [--snapshot-dir=./data/delete_snapshots] [--no-snapshot]
+ *
+ * Every contact (all properties + associations) is first saved to NDJSON and to BigQuery
+ * (BQ_DELETE_SNAPSHOT_TABLE, default <BQ_DATASET>.contact_snapshots); only contacts whose snapshot
+ * was stored are written to the list. `node hubspot-import-cli.js restore --snapshot=<file>`
+ * re-creates them.
+ * --no-snapshot skips that (the list can then not be restored after archiving).
+ *
+ * --summary=<file> run summary (default ./data/run_summaries/bq-delete-table-to-contact-list_<time>.json
+ * + .md); exits 0, 2 when contacts were left off the list or not enriched, 1 on failure.
  *
  * .env required:
  *   HUBSPOT_PERSONAL_ACCESS_KEY=pat-...
@@ -13,12 +23,18 @@
  *   BQ_DELETE_TABLE=trusight-480718.hubspot.contacts_delete_candidates   (example)
  *   BQ_DATASET=hubspot_exports
  *   BQ_LIST_TABLE=contact_lists
+ *   BQ_DELETE_SNAPSHOT_TABLE=hubspot_exports.contact_snapshots   (optional, dataset.table or project.dataset.table)
  */
 
 require("dotenv").config();
+const path = require("path");
 const hubspot = require("@hubspot/api-client");
 const { BigQuery } = require("@google-cloud/bigquery");
 
+const { writeSnapshots } = require(path.join(__dirname, "hubspot_snapshot.js"));
+const { chunk } = require(path.join(__dirname, "sync_util.js"));
+const { createRunSummary, summaryPath, closeRunSummary } = require(path.join(__dirname, "run_summary.js"));
+
 // -------------------- ENV --------------------
 const HUBSPOT_TOKEN = process.env.HUBSPOT_PERSONAL_ACCESS_KEY;
 const BQ_PROJECT_ID = process.env.BQ_PROJECT_ID;
@@ -34,6 +50,8 @@ if (!BQ_DELETE_TABLE) throw new Error("Missing BQ_DELETE_TABLE in .env");
 if (!BQ_DATASET) throw new Error("Missing BQ_DATASET in .env");
 if (!BQ_LIST_TABLE) throw new Error("Missing BQ_LIST_TABLE in .env");
 
+const BQ_DELETE_SNAPSHOT_TABLE = s(process.env.BQ_DELETE_SNAPSHOT_TABLE) || `${BQ_DATASET}.contact_snapshots`;
+
 // HubSpot token is optional unless you want enrichment
 const hsClient = HUBSPOT_TOKEN ? new hubspot.Client({ accessToken: HUBSPOT_TOKEN }) : null;
 
@@ -49,14 +67,23 @@ const limitArg = getArg("--limit");
 const LIMIT = limitArg ? parseInt(limitArg, 10) : null;
 
 const ENRICH = args.includes("--enrich"); // if present, fetch email from HubSpot
+const SNAPSHOT = !args.includes("--no-snapshot"); // snapshot the listed contacts unless opted out
+const SNAPSHOT_DIR = getArg("--snapshot-dir") || "./data/delete_snapshots";
+
+const RUN = createRunSummary({ command: "bq-delete-table-to-contact-list", object: "contacts", apply: true, argv: args });
+const SUMMARY_PATH = summaryPath(args, "bq-delete-table-to-contact-list");
+
+// checked before anything is written, so a list never exists without its snapshot
+if (SNAPSHOT) {
+  if (!hsClient) throw new Error("Missing HUBSPOT_PERSONAL_ACCESS_KEY in .env (needed for the snapshot; --no-snapshot skips it)");
+  const parts = BQ_DELETE_SNAPSHOT_TABLE.split(".");
+  if (![2, 3].includes(parts.length) || parts.some(p => !p)) {
+    throw new Error(`Invalid BQ_DELETE_SNAPSHOT_TABLE: ${BQ_DELETE_SNAPSHOT_TABLE} (expected dataset.table or project.dataset.table)`);
+  }
+}
 
 // -------------------- HELPERS --------------------
 function s(v) { return (v ?? "").toString().trim(); }
-function chunk(arr, size) {
-  const out = [];
-  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
-  return out;
-}
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
 async function bqQuery(bigquery, query) {
@@ -97,8 +124,10 @@ async function insertRows(table, rows) {
       await table.insert(batch);
       console.log(`✅ inserted ${batch.length} rows`);
     } catch (err) {
+      // a partly written list must not look complete
       console.error("❌ BigQuery insert error:", err?.message || err);
       if (err?.errors) console.error(JSON.stringify(err.errors, null, 2));
+      throw err;
     }
   }
 }
@@ -123,6 +152,8 @@ async function insertRows(table, rows) {
   const ids = rows.map(r => s(r.contact_id)).filter(Boolean);
 
   console.log(`Fetched ${ids.length} contact ids from ${BQ_DELETE_TABLE}`);
+  RUN.source("list", BQ_DELETE_TABLE);
+  RUN.count("list", "fetched", ids.length);
 
   // Optional: enrich email from HubSpot (only if you don't trust BQ email)
   let idToEmail = new Map();
@@ -142,6 +173,7 @@ async function insertRows(table, rows) {
         }
       } catch (err) {
         console.error("❌ enrichment error:", err?.response?.body ? JSON.stringify(err.response.body) : (err?.message || err));
+        RUN.error("enrich", err, batch.length);
       }
       await sleep(150);
     }
@@ -149,10 +181,37 @@ async function insertRows(table, rows) {
 
   const pulledAt = new Date().toISOString();
 
+  // Snapshot first: only contacts whose snapshot was stored go on the list
+  let listed = null;
+  if (SNAPSHOT) {
+    console.log("Snapshotting contacts from HubSpot...");
+    const snap = await writeSnapshots({
+      hsClient,
+      object: "contacts",
+      ids,
+      ndjsonPath: path.join(SNAPSHOT_DIR, `contacts_${pulledAt.replace(/[:.]/g, "-")}.ndjson`),
+      bigquery,
+      tableName: BQ_DELETE_SNAPSHOT_TABLE,
+      location: BQ_LOCATION,
+      snapshotId: pulledAt,
+    });
+    console.log(`✅ Snapshotted ${snap.snapshotted.size}/${ids.length} contacts → ${snap.path} + ${BQ_DELETE_SNAPSHOT_TABLE}`);
+    listed = snap.snapshotted;
+    RUN.count("list", "snapshotted", listed.size);
+    RUN.output("snapshot", snap.path);
+
+    const notSnapshotted = ids.filter(id => !listed.has(id));
+    if (notSnapshotted.length) {
+      console.log(`⚠️ ${notSnapshotted.length} contacts were not returned for the snapshot and are left off the list: ${notSnapshotted.slice(0, 10).join(", ")}`);
+    }
+    RUN.error("list", "not returned for the snapshot, left off the list", notSnapshotted.length);
+  }
+
   const outRows = rows
     .map(r => {
       const contact_id = s(r.contact_id);
       if (!contact_id) return null;
+      if (listed && !listed.has(contact_id)) return null;
 
       const emailFromBQ = s(r.email);
       const emailFromHS = s(idToEmail.get(contact_id));
@@ -170,9 +229,12 @@ async function insertRows(table, rows) {
     .filter(Boolean);
 
   await insertRows(outTable, outRows);
+  RUN.count("list", "listed", outRows.length);
+  RUN.output("list", `${BQ_PROJECT_ID}.${BQ_DATASET}.${BQ_LIST_TABLE}`);
 
   console.log(`\n✅ Done. Wrote ${outRows.length} rows into ${BQ_PROJECT_ID}.${BQ_DATASET}.${BQ_LIST_TABLE}`);
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH));
 })().catch(err => {
   console.error("❌ Failed:", err?.message || err);
-  process.exit(1);
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH, err));
 });
@@ -0,0 +1,59 @@
+// checkpoints.js
+//
+// Lists or resets the per-job checkpoint journals written by the sync engine
+// (hubspot_update.js) and the rollback command.
+//
+// Usage:
+//   node checkpoints.js list
+//   node checkpoints.js reset <jobId>
+//
+// Optional:
+//   --dir=./data/checkpoints
+//   --summary=./data/run_summaries/checkpoints_<time>.json   (run summary; a .md rendering is written next to it)
+//
+// Exits 0 on success and 1 when reset found nothing to remove.
+
+const path = require("path");
+
+const { listCheckpoints, resetCheckpoint } = require(path.join(__dirname, "sync_checkpoint.js"));
+const { createRunSummary, summaryPath, closeRunSummary } = require(path.join(__dirname, "run_summary.js"));
+
+const args = process.argv.slice(2);
+const dirArg = args.find((a) => a.startsWith("--dir="));
+const DIR = dirArg ? dirArg.split("=").slice(1).join("=") : "./data/checkpoints";
+
+const [cmd, jobId] = args.filter((a) => !a.startsWith("--"));
+
+const RUN = createRunSummary({ command: `checkpoints ${cmd || ""}`.trim(), apply: cmd === "reset", argv: args });
+const SUMMARY_PATH = summaryPath(args, "checkpoints");
+
+if (cmd === "list") {
+  const jobs = listCheckpoints(DIR);
+  RUN.source("checkpoints", DIR);
+  RUN.count("checkpoints", "jobs", jobs.length);
+  if (!jobs.length) console.log(`No checkpoints in ${DIR}`);
+
+  for (const j of jobs) {
+    const mapping = j.mapping ? Object.keys(j.mapping).join(",") : "";
+    console.log(
+      `${j.jobId}  ${j.kind || ""} ${j.object || ""} ${j.mode || ""}  processed=${j.processed}  sql=${j.sqlHash || "-"}  props=${mapping || "-"}  last=${j.lastOpenedAt}`
+    );
+  }
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH));
+} else if (cmd === "reset" && jobId) {
+  const removed = resetCheckpoint(DIR, jobId);
+  RUN.source("checkpoints", DIR);
+  if (!removed.length) {
+    const msg = `No checkpoint files for job ${jobId} in ${DIR}`;
+    console.error(`❌ ${msg}`);
+    process.exit(closeRunSummary(RUN, SUMMARY_PATH, new Error(msg)));
+  }
+  RUN.count("checkpoints", "filesRemoved", removed.length);
+  for (const f of removed) RUN.output(path.basename(f), f);
+  console.log(`✅ Removed ${removed.join(", ")}`);
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH));
+} else {
+  console.log("Usage:");
+  console.log("  node checkpoints.js list [--dir=./data/checkpoints]");
+  console.log("  node checkpoints.js reset <jobId> [--dir=./data/checkpoints]");
+}
@@ -0,0 +1,149 @@
+// delete_guards.js
+// Protection rules for hubspot-import-cli.js delete: records matching a rule are excluded from
+// the archive and written to a report, the remaining count is capped, and --apply needs a
+// confirmation token derived from the final ID list.
+//
+// Rules file (JSON, every key optional; defaults below):
+//   {
+//     "associations": ["deals", "companies"],          exclude records with any of these (default per object)
+//     "recentActivityDays": 90,                        exclude records active in the last N days
+//     "activityProperties": ["notes_last_updated", ...],
+//     "protectedLifecycleStages": ["customer", ...],   exclude records in these stages
+//     "maxDeletes": 1000                               refuse to archive more than this
+//   }
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { withRetry } = require(path.join(__dirname, "hubspot_retry.js"));
+const { READ_LIMIT, writeCsv, chunk } = require(path.join(__dirname, "sync_util.js"));
+
+const DEFAULT_DELETE_RULES = {
+  associations: ["deals", "companies"],
+  recentActivityDays: 90,
+  activityProperties: [
+    "notes_last_updated",
+    "notes_last_contacted",
+    "hs_last_sales_activity_timestamp",
+    "hs_email_last_open_date",
+    "hs_email_last_click_date",
+    "hs_sales_email_last_replied",
+  ],
+  protectedLifecycleStages: ["customer", "evangelist", "opportunity", "salesqualifiedlead"],
+  maxDeletes: 1000,
+};
+
+// Associations that protect a record from archiving when the rules file does not list any;
+// custom objects fall back to contacts + companies
+const PROTECTING_ASSOCIATIONS = {
+  contacts: ["deals", "companies"],
+  companies: ["deals", "contacts"],
+  deals: ["contacts", "companies"],
+  tickets: ["contacts", "companies"],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function loadDeleteRules(file, object = "contacts") {
+  const defaults = {
+    ...DEFAULT_DELETE_RULES,
+    associations: PROTECTING_ASSOCIATIONS[object] || ["contacts", "companies"],
+  };
+  if (!file) return defaults;
+  if (!fs.existsSync(file)) throw new Error(`Delete rules file not found: ${file}`);
+
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const unknown = Object.keys(raw).filter((k) => !(k in DEFAULT_DELETE_RULES));
+  if (unknown.length) throw new Error(`Unknown delete rule(s) in ${file}: ${unknown.join(", ")}`);
+  return { ...defaults, ...raw };
+}
+
+// HubSpot datetimes come back as ISO strings or epoch ms
+function toMs(v) {
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  const ms = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Checks every ID against the rules. Returns { keep: [id], excluded: [{ id, rule, detail }] }
+ * (one excluded row per matching rule, so a record can appear more than once).
+ * IDs HubSpot does not return are excluded as "not_found": there is nothing to archive.
+ */
+async function applyDeleteRules(hsClient, object, ids, rules, now = Date.now()) {
+  const excluded = [];
+  const exclude = (id, rule, detail) => excluded.push({ id, rule, detail });
+
+  const props = Array.from(new Set(["lifecyclestage", ...(rules.activityProperties || [])]));
+  const found = new Map();
+
+  for (const slice of chunk(ids, READ_LIMIT)) {
+    const res = await withRetry(() => hsClient.crm.objects.batchApi.read(object, {
+      inputs: slice.map((id) => ({ id })),
+      properties: props,
+    }));
+    for (const r of res?.results || []) found.set(String(r.id), r.properties || {});
+  }
+
+  for (const id of ids) {
+    const p = found.get(id);
+    if (!p) {
+      exclude(id, "not_found", "not returned by HubSpot (already archived, merged or missing)");
+      continue;
+    }
+
+    const stage = String(p.lifecyclestage || "").trim();
+    if (stage && (rules.protectedLifecycleStages || []).includes(stage)) {
+      exclude(id, "lifecycle_stage", stage);
+    }
+
+    if (rules.recentActivityDays) {
+      const cutoff = now - rules.recentActivityDays * DAY_MS;
+      const recent = (rules.activityProperties || [])
+        .map((k) => [k, toMs(p[k])])
+        .filter(([, ms]) => ms !== null && ms >= cutoff);
+      if (recent.length) {
+        exclude(id, "recent_activity", recent.map(([k, ms]) => `${k}=${new Date(ms).toISOString()}`).join("; "));
+      }
+    }
+  }
+
+  const live = ids.filter((id) => found.has(id));
+  for (const toType of rules.associations || []) {
+    for (const slice of chunk(live, READ_LIMIT)) {
+      const res = await withRetry(() => hsClient.crm.associations.v4.batchApi.getPage(object, toType, {
+        inputs: slice.map((id) => ({ id })),
+      }));
+      for (const r of res?.results || []) {
+        const to = r?.to || [];
+        if (to.length) {
+          const more = r?.paging?.next ? "+" : "";
+          exclude(String(r?._from?.id), `association:${toType}`, `${to.length}${more} ${toType} (e.g. ${to.slice(0, 3).map((t) => t.toObjectId).join(", ")})`);
+        }
+      }
+    }
+  }
+
+  const out = new Set(excluded.map((x) => x.id));
+  return { keep: ids.filter((id) => !out.has(id)), excluded };
+}
+
+/** Token the operator has to pass back (--confirm=...) to archive exactly this list. */
+function confirmationToken(ids) {
+  const hash = crypto.createHash("sha256").update(ids.slice().sort().join("\n")).digest("hex");
+  return `${ids.length}-${hash.slice(0, 10)}`;
+}
+
+function writeExclusionReport(filePath, rows) {
+  writeCsv(filePath, rows, ["id", "email", "rule", "detail"]);
+}
+
+module.exports = {
+  DEFAULT_DELETE_RULES,
+  loadDeleteRules,
+  applyDeleteRules,
+  confirmationToken,
+  writeExclusionReport,
+};
@@ -0,0 +1,68 @@
+// export-associations.js
+// Exports every association between two object types: one row per from ID, to ID, association
+// type and label, read with the v4 associations API (all pages, unlike the capped
+// associations column of the object exports).
+//
+// Usage:
+//   node export-associations.js <fromObject> <toObject> [--out=data/<from>_<to>_associations.csv]
+//
+//   node export-associations.js contacts companies
+//   node export-associations.js deals cars
+//
+// Columns: from_object, from_id, to_object, to_id, category, type_id, label (empty = unlabeled).
+// Custom objects can be named like in export-objects.js.
+//
+// --summary=<file>: run summary (default data/run_summaries/export-associations_<time>.json + .md);
+// exits 0, or 1 on failure
+
+require('dotenv').config();
+const path = require('path');
+const hubspot = require('@hubspot/api-client');
+const { exportAssociationEdges, recordExport } = require(path.join(__dirname, 'hubspot_export.js'));
+const { createRunSummary, summaryPath, closeRunSummary } = require(path.join(__dirname, 'run_summary.js'));
+
+const HUBSPOT_TOKEN = process.env.HUBSPOT_PERSONAL_ACCESS_KEY;
+const HUBSPOT_ACCOUNT_ID = process.env.HUBSPOT_ACCOUNT_ID;
+
+const [fromObject, toObject] = process.argv.slice(2).filter((a) => !a.startsWith('--'));
+const outArg = process.argv.find((a) => a.startsWith('--out='));
+
+if (!fromObject || !toObject) {
+  console.error('Usage: node export-associations.js <fromObject> <toObject> [--out=file.csv]');
+  process.exit(1);
+}
+
+if (!HUBSPOT_TOKEN) {
+  console.error('❌ HUBSPOT_PERSONAL_ACCESS_KEY is missing in .env');
+  process.exit(1);
+}
+
+console.log(`🔑 Using HubSpot account: ${HUBSPOT_ACCOUNT_ID || '(not set)'}`);
+
+const hubspotClient = new hubspot.Client({ accessToken: HUBSPOT_TOKEN });
+
+const RUN = createRunSummary({ command: 'export-associations', object: `${fromObject} → ${toObject}`, apply: true, argv: process.argv.slice(2) });
+const SUMMARY_PATH = summaryPath(process.argv, 'export-associations');
+
+async function main() {
+  const outPath = outArg
+    ? outArg.split('=').slice(1).join('=').trim()
+    : path.join(__dirname, 'data', `${fromObject}_${toObject}_associations.csv`);
+
+  const res = await exportAssociationEdges({ hubspotClient, fromObject, toObject, outPath });
+  console.log(`📁 Association export written to: ${res.outPath} (${res.edges} rows)`);
+
+  recordExport(RUN, res);
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH));
+}
+
+main().catch((err) => {
+  const body = err?.response?.body || err?.body;
+  console.error(`❌ Error exporting ${fromObject} → ${toObject} associations`);
+  if (body) {
+    console.error(JSON.stringify(body, null, 2));
+  } else {
+    console.error(err);
+  }
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH, err));
+});
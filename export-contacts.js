@@ -1,11 +1,18 @@
 // export-contacts.js
 // Exports contacts with extra fields + associated company & deal IDs
+// (fixed column set; see export-objects.js for other objects, properties or associations)
+//
+// --incremental [--snapshot] [--since=<date>]: only records modified since the last run (see export-objects.js)
+// --bigquery=<dataset.table> [--bq-mode=replace|merge]: load into BigQuery instead of CSV
+// --all-properties [--group=x] [--hubspot-defined | --custom] [--pattern=re]: more properties after the fixed ones
+// --summary=<file>: run summary (default data/run_summaries/<command>_<time>.json + .md); exits 0, 2 when
+// values were loaded as NULL, 1 on failure
 
 require('dotenv').config();
-const fs = require('fs');
 const path = require('path');
 const hubspot = require('@hubspot/api-client');
-const { createObjectCsvWriter } = require('csv-writer');
+const { exportObjects, exportArgs, recordExport } = require(path.join(__dirname, 'hubspot_export.js'));
+const { createRunSummary, summaryPath, closeRunSummary } = require(path.join(__dirname, 'run_summary.js'));
 
 const HUBSPOT_TOKEN = process.env.HUBSPOT_PERSONAL_ACCESS_KEY;
 const HUBSPOT_ACCOUNT_ID = process.env.HUBSPOT_ACCOUNT_ID;
@@ -19,118 +26,44 @@ console.log(`🔑 Using HubSpot account: ${HUBSPOT_ACCOUNT_ID || '(not set)'}`);
 
 const hubspotClient = new hubspot.Client({ accessToken: HUBSPOT_TOKEN });
 
-async function fetchAllContacts() {
-  const limit = 100;
-  let after = undefined;
-  const all = [];
-
-  // Add whatever fields you care about here
-  const properties = [
-    'email',
-    'firstname',
-    'lastname',
-    'phone',
-    'jobtitle',
-    'lifecyclestage',
-    'hs_lead_status',
-    'city',
-    'state',
-    'country',
-    'createdate',
-    'lastmodifieddate'
-  ];
-
-  console.log('🚀 Fetching contacts with associations (companies, deals)...');
-
-  while (true) {
-    const res = await hubspotClient.crm.contacts.basicApi.getPage(
-      limit,
-      after,
-      properties,
-      undefined,
-      ['companies', 'deals'] // associations
-    );
-
-    all.push(...res.results);
-
-    if (!res.paging || !res.paging.next) break;
-    after = res.paging.next.after;
-    console.log(`...fetched ${all.length} so far`);
-  }
-
-  console.log(`✅ Finished fetching ${all.length} contacts`);
-
-  return all.map((c) => {
-    const p = c.properties || {};
-    const a = c.associations || {};
-
-    const companyIds =
-      a.companies?.results?.map((r) => r.id).filter(Boolean) || [];
-    const dealIds =
-      a.deals?.results?.map((r) => r.id).filter(Boolean) || [];
-
-    return {
-      id: c.id,
-      email: (p.email || '').toLowerCase(),
-      firstname: p.firstname || '',
-      lastname: p.lastname || '',
-      phone: p.phone || '',
-      jobtitle: p.jobtitle || '',
-      lifecyclestage: p.lifecyclestage || '',
-      hs_lead_status: p.hs_lead_status || '',
-      city: p.city || '',
-      state: p.state || '',
-      country: p.country || '',
-      createdate: p.createdate || '',
-      lastmodifieddate: p.lastmodifieddate || '',
-      company_ids: companyIds.join('|'),
-      deal_ids: dealIds.join('|')
-    };
-  });
-}
+const RUN = createRunSummary({ command: 'export-contacts', object: 'contacts', apply: true, argv: process.argv.slice(2) });
+const SUMMARY_PATH = summaryPath(process.argv, 'export-contacts');
 
 async function main() {
-  const contacts = await fetchAllContacts();
-
-  const dataDir = path.join(__dirname, 'data');
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
-
-  const outPath = path.join(dataDir, 'contacts_export.csv');
-
-  const csvWriter = createObjectCsvWriter({
-    path: outPath,
-    header: [
-      { id: 'id', title: 'id' },
-      { id: 'email', title: 'email' },
-      { id: 'firstname', title: 'firstname' },
-      { id: 'lastname', title: 'lastname' },
-      { id: 'phone', title: 'phone' },
-      { id: 'jobtitle', title: 'jobtitle' },
-      { id: 'lifecyclestage', title: 'lifecyclestage' },
-      { id: 'hs_lead_status', title: 'hs_lead_status' },
-      { id: 'city', title: 'city' },
-      { id: 'state', title: 'state' },
-      { id: 'country', title: 'country' },
-      { id: 'createdate', title: 'createdate' },
-      { id: 'lastmodifieddate', title: 'lastmodifieddate' },
-      { id: 'company_ids', title: 'company_ids' },
-      { id: 'deal_ids', title: 'deal_ids' }
-    ]
+  const res = await exportObjects({
+    hubspotClient,
+    object: 'contacts',
+    properties: [
+      'email',
+      'firstname',
+      'lastname',
+      'phone',
+      'jobtitle',
+      'lifecyclestage',
+      'hs_lead_status',
+      'city',
+      'state',
+      'country',
+      'createdate',
+      'lastmodifieddate'
+    ],
+    associations: ['companies', 'deals'],
+    ...exportArgs(process.argv, 'contacts', __dirname),
+    mapRow: (row) => ({ ...row, email: String(row.email).toLowerCase() })
   });
+  console.log(`📁 Contacts export written to: ${res.outPath} (${res.count} rows)`);
 
-  await csvWriter.writeRecords(contacts);
-  console.log(`📁 Contacts export written to: ${outPath}`);
+  recordExport(RUN, res);
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH));
 }
 
 main().catch((err) => {
-  const body = err?.response?.body;
+  const body = err?.response?.body || err?.body;
   console.error('❌ Error exporting contacts');
   if (body) {
     console.error(JSON.stringify(body, null, 2));
   } else {
     console.error(err);
   }
-  process.exit(1);
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH, err));
 });
@@ -1,11 +1,18 @@
 // export-deals.js
 // Exports deals with extra fields + associated contact & company IDs
+// (fixed column set; see export-objects.js for other objects, properties or associations)
+//
+// --incremental [--snapshot] [--since=<date>]: only records modified since the last run (see export-objects.js)
+// --bigquery=<dataset.table> [--bq-mode=replace|merge]: load into BigQuery instead of CSV
+// --all-properties [--group=x] [--hubspot-defined | --custom] [--pattern=re]: more properties after the fixed ones
+// --summary=<file>: run summary (default data/run_summaries/<command>_<time>.json + .md); exits 0, 2 when
+// values were loaded as NULL, 1 on failure
 
 require('dotenv').config();
-const fs = require('fs');
 const path = require('path');
 const hubspot = require('@hubspot/api-client');
-const { createObjectCsvWriter } = require('csv-writer');
+const { exportObjects, exportArgs, recordExport } = require(path.join(__dirname, 'hubspot_export.js'));
+const { createRunSummary, summaryPath, closeRunSummary } = require(path.join(__dirname, 'run_summary.js'));
 
 const HUBSPOT_TOKEN = process.env.HUBSPOT_PERSONAL_ACCESS_KEY;
 const HUBSPOT_ACCOUNT_ID = process.env.HUBSPOT_ACCOUNT_ID;
@@ -19,105 +26,41 @@ console.log(`🔑 Using HubSpot account: ${HUBSPOT_ACCOUNT_ID || '(not set)'}`);
 
 const hubspotClient = new hubspot.Client({ accessToken: HUBSPOT_TOKEN });
 
-async function fetchAllDeals() {
-  const limit = 100;
-  let after = undefined;
-  const all = [];
-
-  const properties = [
-    'dealname',
-    'amount',
-    'closedate',
-    'dealstage',
-    'pipeline',
-    'hubspot_owner_id',
-    'createdate',
-    'lastmodifieddate'
-  ];
-
-  console.log('🚀 Fetching deals with associated contacts & companies...');
-
-  while (true) {
-    const res = await hubspotClient.crm.deals.basicApi.getPage(
-      limit,
-      after,
-      properties,
-      undefined,
-      ['contacts', 'companies'] // associations
-    );
-
-    all.push(...res.results);
-
-    if (!res.paging || !res.paging.next) break;
-    after = res.paging.next.after;
-    console.log(`...fetched ${all.length} so far`);
-  }
-
-  console.log(`✅ Finished fetching ${all.length} deals`);
-
-  return all.map((d) => {
-    const p = d.properties || {};
-    const a = d.associations || {};
-
-    const contactIds =
-      a.contacts?.results?.map((r) => r.id).filter(Boolean) || [];
-    const companyIds =
-      a.companies?.results?.map((r) => r.id).filter(Boolean) || [];
-
-    return {
-      id: d.id,
-      dealname: p.dealname || '',
-      amount: p.amount || '',
-      closedate: p.closedate || '',
-      dealstage: p.dealstage || '',
-      pipeline: p.pipeline || '',
-      hubspot_owner_id: p.hubspot_owner_id || '',
-      createdate: p.createdate || '',
-      lastmodifieddate: p.lastmodifieddate || '',
-      contact_ids: contactIds.join('|'),
-      company_ids: companyIds.join('|')
-    };
-  });
-}
+const RUN = createRunSummary({ command: 'export-deals', object: 'deals', apply: true, argv: process.argv.slice(2) });
+const SUMMARY_PATH = summaryPath(process.argv, 'export-deals');
 
 async function main() {
-  const deals = await fetchAllDeals();
-
-  const dataDir = path.join(__dirname, 'data');
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
-
-  const outPath = path.join(dataDir, 'deals_export.csv');
-
-  const csvWriter = createObjectCsvWriter({
-    path: outPath,
-    header: [
-      { id: 'id', title: 'id' },
-      { id: 'dealname', title: 'dealname' },
-      { id: 'amount', title: 'amount' },
-      { id: 'closedate', title: 'closedate' },
-      { id: 'dealstage', title: 'dealstage' },
-      { id: 'pipeline', title: 'pipeline' },
-      { id: 'hubspot_owner_id', title: 'hubspot_owner_id' },
-      { id: 'createdate', title: 'createdate' },
-      { id: 'lastmodifieddate', title: 'lastmodifieddate' },
-      { id: 'contact_ids', title: 'contact_ids' },
-      { id: 'company_ids', title: 'company_ids' }
-    ]
+  const res = await exportObjects({
+    hubspotClient,
+    object: 'deals',
+    properties: [
+      'dealname',
+      'amount',
+      'closedate',
+      'dealstage',
+      'pipeline',
+      'hubspot_owner_id',
+      'createdate',
+      'hs_lastmodifieddate'
+    ],
+    // only contacts have lastmodifieddate; keep the column name existing files use
+    columns: { hs_lastmodifieddate: 'lastmodifieddate' },
+    associations: ['contacts', 'companies'],
+    ...exportArgs(process.argv, 'deals', __dirname)
   });
+  console.log(`📁 Deals export written to: ${res.outPath} (${res.count} rows)`);
 
-  await csvWriter.writeRecords(deals);
-  console.log(`📁 Deals export written to: ${outPath}`);
+  recordExport(RUN, res);
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH));
 }
 
 main().catch((err) => {
-  const body = err?.response?.body;
+  const body = err?.response?.body || err?.body;
   console.error('❌ Error exporting deals');
   if (body) {
     console.error(JSON.stringify(body, null, 2));
   } else {
     console.error(err);
   }
-  process.exit(1);
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH, err));
 });
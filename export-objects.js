@@ -0,0 +1,93 @@
+// export-objects.js
+// Exports any CRM object (standard or custom) with the properties and associations you ask for.
+//
+// Usage:
+//   node export-objects.js <object> [--properties=a,b,c] [--all-properties] [--group=<property group>]
+//                                   [--hubspot-defined | --custom] [--pattern=<regex>]
+//                                   [--associations=companies,deals] [--out=data/<object>_export.csv]
+//                                   [--incremental [--snapshot[=file]] [--since=<date>]]
+//                                   [--bigquery=<dataset.table> [--bq-mode=replace|merge]]
+//
+//   node export-objects.js tickets --properties=subject,hs_pipeline_stage --associations=contacts
+//   node export-objects.js cars --group=car_information --associations=contacts,companies
+//   node export-objects.js contacts --all-properties --custom
+//
+// Custom objects can be named by name, label, fully qualified name or objectTypeId.
+// CSV columns: id, the requested properties, then <singular>_ids per association type.
+// --group / --hubspot-defined / --custom / --pattern select from all of the object's properties
+// (--all-properties alone: every property); they are fetched in chunks and stitched per record.
+//
+// --incremental only fetches records modified since the last run of this export (watermark in
+// data/export_watermarks.json) and writes them to data/<object>_delta_<timestamp>.csv, or with
+// --snapshot upserts them into the full export file.
+//
+// --bigquery loads into that table instead of writing CSV: columns typed from the HubSpot
+// property types, association IDs as REPEATED INTEGER, full exports replace the table and
+// incremental ones merge on id (see bigquery_export.js). See exportArgs in hubspot_export.js.
+//
+// --summary=<file>: run summary (default data/run_summaries/<command>_<time>.json + .md); exits 0, 2 when
+// values were loaded as NULL, 1 on failure
+
+require('dotenv').config();
+const path = require('path');
+const hubspot = require('@hubspot/api-client');
+const { exportObjects, exportArgs, recordExport } = require(path.join(__dirname, 'hubspot_export.js'));
+const { createRunSummary, summaryPath, closeRunSummary } = require(path.join(__dirname, 'run_summary.js'));
+
+const HUBSPOT_TOKEN = process.env.HUBSPOT_PERSONAL_ACCESS_KEY;
+const HUBSPOT_ACCOUNT_ID = process.env.HUBSPOT_ACCOUNT_ID;
+
+function getArg(name) {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.split('=').slice(1).join('=').trim() : null;
+}
+
+function listArg(name) {
+  return (getArg(name) || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+const object = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : null;
+const properties = listArg('properties');
+const associations = listArg('associations');
+
+if (!object) {
+  console.error('Usage: node export-objects.js <object> --properties=a,b | --all-properties | --group=<group> [--associations=x,y] [--out=file.csv]');
+  process.exit(1);
+}
+
+if (!HUBSPOT_TOKEN) {
+  console.error('❌ HUBSPOT_PERSONAL_ACCESS_KEY is missing in .env');
+  process.exit(1);
+}
+
+console.log(`🔑 Using HubSpot account: ${HUBSPOT_ACCOUNT_ID || '(not set)'}`);
+
+const hubspotClient = new hubspot.Client({ accessToken: HUBSPOT_TOKEN });
+
+const RUN = createRunSummary({ command: 'export-objects', object, apply: true, argv: process.argv.slice(2) });
+const SUMMARY_PATH = summaryPath(process.argv, 'export-objects');
+
+async function main() {
+  const res = await exportObjects({
+    hubspotClient,
+    object,
+    properties,
+    associations,
+    ...exportArgs(process.argv, object, __dirname)
+  });
+  console.log(`📁 ${object} export written to: ${res.outPath} (${res.count} rows, ${res.headers.length} columns)`);
+
+  recordExport(RUN, res);
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH));
+}
+
+main().catch((err) => {
+  const body = err?.response?.body || err?.body;
+  console.error(`❌ Error exporting ${object}`);
+  if (body) {
+    console.error(JSON.stringify(body, null, 2));
+  } else {
+    console.error(err);
+  }
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH, err));
+});
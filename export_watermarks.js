@@ -0,0 +1,46 @@
+// export_watermarks.js
+// Watermarks for incremental exports (hubspot_export.js): per object type and export name, the
+// modification time up to which records have been exported.
+//
+// One JSON file (default data/export_watermarks.json), keyed "<objectType>:<exportName>":
+//   { "contacts:contacts_export": { watermark: "2025-01-31T08:00:00.000Z", mode, rows, updatedAt } }
+//
+// A watermark only moves after the export output was written, so a failed run is simply
+// repeated from the same point.
+
+const fs = require("fs");
+const path = require("path");
+
+function watermarkKey(objectType, exportName) {
+  return `${objectType}:${exportName}`;
+}
+
+function readWatermarks(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/** Watermark in epoch ms, or null when this export has never run. */
+function getWatermark(filePath, objectType, exportName) {
+  const entry = readWatermarks(filePath)[watermarkKey(objectType, exportName)];
+  return entry?.watermark ? Date.parse(entry.watermark) : null;
+}
+
+function setWatermark(filePath, objectType, exportName, ms, info = {}) {
+  const all = readWatermarks(filePath);
+  all[watermarkKey(objectType, exportName)] = {
+    watermark: new Date(ms).toISOString(),
+    ...info,
+    updatedAt: new Date().toISOString(),
+  };
+  // write-then-rename so an interrupted write never leaves a truncated file
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(all, null, 2), "utf8");
+  fs.renameSync(tmp, filePath);
+}
+
+module.exports = {
+  getWatermark,
+  setWatermark,
+};
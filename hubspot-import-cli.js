@@ -5,46 +5,214 @@
 //   node hubspot-import-cli.js delete         (dry-run)
 //   node hubspot-import-cli.js merge          (dry-run)
 //   node hubspot-import-cli.js all            (dry-run)
+//   node hubspot-import-cli.js restore --snapshot=./data/delete_snapshots/contacts_....ndjson   (dry-run)
+//   node hubspot-import-cli.js associations   (dry-run)
 //
 // Add --apply to actually write to HubSpot:
 //   node hubspot-import-cli.js update --apply
 //   node hubspot-import-cli.js delete --apply
 //   node hubspot-import-cli.js merge  --apply
-//   node hubspot-import-cli.js all    --apply
+//   node hubspot-import-cli.js all    --apply [--confirm=<token>]
+//   node hubspot-import-cli.js restore --snapshot=... --apply
+//   node hubspot-import-cli.js associations --apply [--mirror]
+//
+// Plan / apply (merge → update → delete from one reviewed file):
+//   node hubspot-import-cli.js plan                         (writes ./data/plans/plan_<time>.json)
+//   node hubspot-import-cli.js apply ./data/plans/plan_....json [--confirm=<token>]
+// apply runs exactly the operations in the plan, refuses plans older than --max-age-hours
+// (default 24) and journals each finished operation next to the plan, so rerunning the same
+// apply after an interruption resumes where it stopped. --confirm is needed when the plan
+// archives anything (token printed by plan).
 //
 // Optional:
+//   --object=contacts   (contacts | companies | deals | tickets | custom object type, e.g. 2-1234567 or p_cars)
 //   --limit=500   (limit rows per action)
+//   --mapping=./mappings/<object>_update.json   (update: BQ column → HubSpot property mapping)
+//   --merge-plan=./data/merge_plan.json         (merge: where the reviewed merge plan is written)
+//   --merge-audit=./data/merge_audit.jsonl      (merge: audit row + pre-merge snapshots per pair)
+//   --delete-rules=./delete_rules.json          (delete: protection rules, see delete_guards.js)
+//   --max-deletes=1000                          (delete: overrides maxDeletes from the rules)
+//   --delete-report=./data/delete_excluded.csv  (delete: rows excluded by each rule)
+//   --confirm=<token>                           (delete/all --apply: token printed by the dry run)
+//   --snapshot-dir=./data/delete_snapshots      (delete --apply: NDJSON snapshot of every archived record)
+//   --snapshot=<file.ndjson>                    (restore: snapshot to re-create records from)
+//   --rejects=./data/rejects/<cmd>_<time>.csv   (update/delete --apply: records HubSpot refused, with its error)
+//   --mirror                                    (associations: also remove associations the table no longer lists; not with --limit)
+//   --to-object=companies                       (associations: fixed target type when the table has no to_object column)
+//   --associations-log=./data/association_sync.csv   (associations: one row per association with its status)
+//   --summary=./data/run_summaries/<cmd>_<time>.json  (run summary; a .md rendering is written next to it)
+//
+// Every command writes a run summary (counts per action, errors grouped by HubSpot category,
+// sources, duration) and exits 0 on success, 2 when some records failed, 1 when the run aborted.
+//
+// A batch HubSpot rejects as invalid is retried in halves until the bad records are isolated;
+// those go to the rejects file and the rest of the batch is still written (see batch_bisect.js).
+//
+// delete --apply snapshots all properties + associations of the records right before archiving
+// them; `restore` re-creates them from that file (by email where a live contact has it) and
+// re-links their associations; rerunning it skips records an earlier --apply restored (journal
+// next to the snapshot file). Set BQ_DELETE_SNAPSHOT_TABLE to also keep snapshots in BigQuery.
+//
+// Set BQ_MERGE_AUDIT_TABLE (dataset.table or project.dataset.table) to also write the merge
+// audit rows to BigQuery; the table is created if it does not exist.
+//
+// Source tables per object: contacts read BQ_UPDATE_TABLE / BQ_DELETE_TABLE / BQ_MERGE_TABLE,
+// other objects BQ_<OBJECT>_UPDATE_TABLE etc. (e.g. BQ_COMPANIES_MERGE_TABLE, BQ_2_1234567_DELETE_TABLE).
+// Update rows are matched on the mapping's "idProperty": email for contacts, the record ID
+// (hs_object_id, column "id") for everything else unless the mapping names a unique-value property.
+// HubSpot only merges contacts, companies, deals and tickets.
+//
+// associations reads BQ_ASSOCIATIONS_TABLE: from_object, from_id, to_object, to_id, label (optional).
+// It creates the associations HubSpot is missing; with --mirror it also removes, for the from_ids
+// in the table, the associations the table does not list (see association_sync.js). Pass --object
+// to fix from_object when the table has no such column.
+//
+// Mapping file (JSON):
+//   {
+//     "idProperty": "email",           HubSpot property rows are matched on (default per object, see above)
+//     "matchColumn": "email",          BQ column holding that value
+//     "blank": "skip",                 default blank policy: skip | clear | error
+//     "ignoreColumns": ["source_id"],  columns that are intentionally not synced
+//     "properties": [
+//       { "column": "country", "property": "country_normalized", "transforms": ["trim"], "blank": "skip" }
+//     ]
+//   }
+// Transforms are the sync engine's (see sync_transforms.js). Blank policy per property:
+//   skip  = leave the HubSpot value alone, clear = send "" to empty it, error = reject the row.
 
 require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
 const hubspot = require("@hubspot/api-client");
 const { BigQuery } = require("@google-cloud/bigquery");
 
+const { normalizeMapping, applyTransforms } = require(path.join(__dirname, "sync_transforms.js"));
+const { loadPropertyDefinitions, checkSchema, formatSchemaReport } = require(path.join(__dirname, "hubspot_schema.js"));
+const { findInvalidIds } = require(path.join(__dirname, "hubspot_update.js"));
+const { buildMergePlan, applyHubSpotCheck, summarizeMergePlan, writeMergePlan } = require(path.join(__dirname, "merge_plan.js"));
+const { openMergeAudit, auditedMerge } = require(path.join(__dirname, "merge_audit.js"));
+const { makeSnapshotter, writeSnapshots, readSnapshotFile } = require(path.join(__dirname, "hubspot_snapshot.js"));
+const { loadDeleteRules, applyDeleteRules, confirmationToken, writeExclusionReport } = require(path.join(__dirname, "delete_guards.js"));
+const { restoreFromSnapshot } = require(path.join(__dirname, "snapshot_restore.js"));
+const { buildPlan, writePlan, loadPlan, formatPlanSummary } = require(path.join(__dirname, "import_plan.js"));
+const { jobIdentity, openCheckpoint } = require(path.join(__dirname, "sync_checkpoint.js"));
+const { sendBisected, appendRejects } = require(path.join(__dirname, "batch_bisect.js"));
+const { syncAssociationsFromBigQuery } = require(path.join(__dirname, "association_sync.js"));
+const { createRunSummary, writeRunSummary } = require(path.join(__dirname, "run_summary.js"));
+const { chunk } = require(path.join(__dirname, "sync_util.js"));
+
 // -------------------- ENV --------------------
 const HUBSPOT_TOKEN = process.env.HUBSPOT_PERSONAL_ACCESS_KEY;
 
 const BQ_PROJECT_ID = process.env.BQ_PROJECT_ID;
 const BQ_LOCATION = process.env.BQ_LOCATION || "US";
 
-const BQ_UPDATE_TABLE = process.env.BQ_UPDATE_TABLE;
-const BQ_DELETE_TABLE = process.env.BQ_DELETE_TABLE;
-const BQ_MERGE_TABLE  = process.env.BQ_MERGE_TABLE;
+const BQ_MERGE_AUDIT_TABLE = process.env.BQ_MERGE_AUDIT_TABLE || null;
+const BQ_DELETE_SNAPSHOT_TABLE = process.env.BQ_DELETE_SNAPSHOT_TABLE || null;
+const BQ_ASSOCIATIONS_TABLE = process.env.BQ_ASSOCIATIONS_TABLE || null;
 
 if (!HUBSPOT_TOKEN) throw new Error("Missing HUBSPOT_PERSONAL_ACCESS_KEY in .env");
 if (!BQ_PROJECT_ID) throw new Error("Missing BQ_PROJECT_ID in .env");
 
 // -------------------- CLI ARGS --------------------
 const cmd = process.argv[2];
-const APPLY = process.argv.includes("--apply");
+const APPLY = process.argv.includes("--apply") || cmd === "apply";
+
+const objectArg = process.argv.find(a => a.startsWith("--object="));
+const OBJECT = objectArg ? objectArg.split("=").slice(1).join("=").trim() : "contacts";
+if (!/^[A-Za-z0-9_-]+$/.test(OBJECT)) throw new Error(`Invalid --object=${OBJECT}`);
+
+// Defaults per object type: the property update rows are matched on (and its BQ column), and
+// whether HubSpot has a merge endpoint. Custom object types use the "other" defaults.
+const OBJECT_TYPES = {
+  contacts:  { idProperty: "email", matchColumn: "email", mergeable: true },
+  companies: { idProperty: "hs_object_id", matchColumn: "id", mergeable: true },
+  deals:     { idProperty: "hs_object_id", matchColumn: "id", mergeable: true },
+  tickets:   { idProperty: "hs_object_id", matchColumn: "id", mergeable: true },
+};
+const OBJECT_TYPE = OBJECT_TYPES[OBJECT] || { idProperty: "hs_object_id", matchColumn: "id", mergeable: false };
+
+// BQ_UPDATE_TABLE etc. for contacts, BQ_<OBJECT>_UPDATE_TABLE for everything else
+function tableEnvName(action) {
+  if (OBJECT === "contacts") return `BQ_${action}_TABLE`;
+  return `BQ_${OBJECT.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_${action}_TABLE`;
+}
+
+const BQ_UPDATE_TABLE = process.env[tableEnvName("UPDATE")];
+const BQ_DELETE_TABLE = process.env[tableEnvName("DELETE")];
+const BQ_MERGE_TABLE  = process.env[tableEnvName("MERGE")];
 
 const limitArg = process.argv.find(a => a.startsWith("--limit="));
 const LIMIT = limitArg ? parseInt(limitArg.split("=")[1], 10) : null;
 
-if (!cmd || !["update", "delete", "merge", "all"].includes(cmd)) {
+const mappingArg = process.argv.find(a => a.startsWith("--mapping="));
+const MAPPING_PATH = mappingArg
+  ? path.resolve(mappingArg.split("=").slice(1).join("="))
+  : path.join(__dirname, "mappings", `${OBJECT}_update.json`);
+
+const mergePlanArg = process.argv.find(a => a.startsWith("--merge-plan="));
+const MERGE_PLAN_PATH = mergePlanArg ? mergePlanArg.split("=").slice(1).join("=") : "./data/merge_plan.json";
+
+const mergeAuditArg = process.argv.find(a => a.startsWith("--merge-audit="));
+const MERGE_AUDIT_PATH = mergeAuditArg ? mergeAuditArg.split("=").slice(1).join("=") : "./data/merge_audit.jsonl";
+
+const deleteRulesArg = process.argv.find(a => a.startsWith("--delete-rules="));
+const DELETE_RULES_PATH = deleteRulesArg ? deleteRulesArg.split("=").slice(1).join("=") : null;
+
+const maxDeletesArg = process.argv.find(a => a.startsWith("--max-deletes="));
+const MAX_DELETES = maxDeletesArg ? parseInt(maxDeletesArg.split("=")[1], 10) : null;
+
+const deleteReportArg = process.argv.find(a => a.startsWith("--delete-report="));
+const DELETE_REPORT_PATH = deleteReportArg ? deleteReportArg.split("=").slice(1).join("=") : "./data/delete_excluded.csv";
+
+const confirmArg = process.argv.find(a => a.startsWith("--confirm="));
+const CONFIRM = confirmArg ? confirmArg.split("=").slice(1).join("=") : null;
+
+const snapshotDirArg = process.argv.find(a => a.startsWith("--snapshot-dir="));
+const SNAPSHOT_DIR = snapshotDirArg ? snapshotDirArg.split("=").slice(1).join("=") : "./data/delete_snapshots";
+
+const snapshotArg = process.argv.find(a => a.startsWith("--snapshot="));
+const SNAPSHOT_PATH = snapshotArg ? snapshotArg.split("=").slice(1).join("=") : null;
+
+const rejectsArg = process.argv.find(a => a.startsWith("--rejects="));
+const REJECTS_PATH = rejectsArg
+  ? rejectsArg.split("=").slice(1).join("=")
+  : path.join("./data/rejects", `${cmd}_${new Date().toISOString().replace(/[:.]/g, "-")}.csv`);
+
+const MIRROR = process.argv.includes("--mirror");
+
+const toObjectArg = process.argv.find(a => a.startsWith("--to-object="));
+const TO_OBJECT = toObjectArg ? toObjectArg.split("=").slice(1).join("=") : null;
+
+const assocLogArg = process.argv.find(a => a.startsWith("--associations-log="));
+const ASSOCIATIONS_LOG_PATH = assocLogArg ? assocLogArg.split("=").slice(1).join("=") : "./data/association_sync.csv";
+
+const summaryArg = process.argv.find(a => a.startsWith("--summary="));
+const SUMMARY_PATH = summaryArg
+  ? summaryArg.split("=").slice(1).join("=")
+  : path.join("./data/run_summaries", `${cmd}_${new Date().toISOString().replace(/[:.]/g, "-")}.json`);
+
+const PLAN_FILE = cmd === "apply" ? process.argv.slice(3).find(a => !a.startsWith("--")) : null;
+
+const planOutArg = process.argv.find(a => a.startsWith("--out="));
+const PLAN_OUT_PATH = planOutArg ? planOutArg.split("=").slice(1).join("=") : null;
+
+const maxAgeArg = process.argv.find(a => a.startsWith("--max-age-hours="));
+const MAX_AGE_HOURS = maxAgeArg ? Number(maxAgeArg.split("=")[1]) : 24;
+
+if (!cmd || !["update", "delete", "merge", "all", "restore", "plan", "apply", "associations"].includes(cmd)) {
   console.log("Usage:");
-  console.log("  node hubspot-import-cli.js update|delete|merge|all [--apply] [--limit=500]");
+  console.log("  node hubspot-import-cli.js update|delete|merge|all [--object=contacts] [--apply] [--limit=500] [--mapping=file.json] [--confirm=token]");
+  console.log("  node hubspot-import-cli.js restore --snapshot=file.ndjson [--apply]");
+  console.log("  node hubspot-import-cli.js associations [--apply] [--mirror] [--object=contacts] [--to-object=companies]");
+  console.log("  node hubspot-import-cli.js plan [--object=contacts] [--out=plan.json] [--limit=500]");
+  console.log("  node hubspot-import-cli.js apply <planfile> [--confirm=token] [--max-age-hours=24]");
   process.exit(0);
 }
 
+// Counts, errors by category and sources for this run (written at exit, see run_summary.js)
+const RUN = createRunSummary({ command: cmd, object: OBJECT, apply: APPLY, argv: process.argv.slice(3) });
+
 // -------------------- HELPERS --------------------
 function s(v) { return (v ?? "").toString().trim(); }
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
@@ -55,35 +223,131 @@ async function bqQuery(bigquery, query) {
   return rows;
 }
 
-function chunk(arr, size) {
-  const out = [];
-  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
-  return out;
+// BigQuery DATE/TIMESTAMP/NUMERIC values are wrapper objects with a `.value`
+function bqValue(v) {
+  return v && typeof v === "object" && "value" in v ? v.value : v;
 }
 
+const BLANK_POLICIES = ["skip", "clear", "error"];
+
 /**
- * HubSpot Merge endpoint:
- * POST /crm/v3/objects/contacts/merge
- * body: { primaryObjectId: "123", objectIdToMerge: "456" }
- *
- * The official client may not expose a typed helper; we call apiRequest directly.
+ * Loads an update mapping file (see header) and checks its shape.
+ * Returns { file, idProperty, matchColumn, ignoreColumns, entries: [{ column, property, blank, transforms }] }.
  */
-async function mergeContact(hsClient, primaryId, mergeId) {
-  return hsClient.apiRequest({
-    method: "POST",
-    path: "/crm/v3/objects/contacts/merge",
-    body: {
-      primaryObjectId: primaryId,
-      objectIdToMerge: mergeId
-    }
+function loadUpdateMapping(file) {
+  if (!fs.existsSync(file)) throw new Error(`Mapping file not found: ${file}`);
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  const defaultBlank = raw.blank || "skip";
+  if (!BLANK_POLICIES.includes(defaultBlank)) throw new Error(`Invalid blank policy "${defaultBlank}" in ${file}`);
+  if (!Array.isArray(raw.properties) || !raw.properties.length) throw new Error(`Mapping ${file} has no "properties"`);
+
+  const seen = new Set();
+  const entries = raw.properties.map((m, i) => {
+    if (!m?.column || !m?.property) throw new Error(`Mapping ${file} properties[${i}] needs "column" and "property"`);
+    if (seen.has(m.property)) throw new Error(`Mapping ${file} maps property ${m.property} twice`);
+    seen.add(m.property);
+
+    const blank = m.blank || defaultBlank;
+    if (!BLANK_POLICIES.includes(blank)) throw new Error(`Invalid blank policy "${blank}" for ${m.property} in ${file}`);
+
+    // resolves transform names up front so a typo fails before the query runs
+    const { transforms } = normalizeMapping({ [m.property]: { column: m.column, transforms: m.transforms || [] } })[m.property];
+    return { column: m.column, property: m.property, blank, transforms };
   });
+
+  return {
+    file,
+    idProperty: raw.idProperty || OBJECT_TYPE.idProperty,
+    matchColumn: raw.matchColumn || OBJECT_TYPE.matchColumn,
+    ignoreColumns: raw.ignoreColumns || [],
+    entries,
+  };
 }
 
-// -------------------- ACTION: UPDATE (by email) --------------------
-async function runUpdate(bigquery, hsClient) {
-  if (!BQ_UPDATE_TABLE) throw new Error("Missing BQ_UPDATE_TABLE in .env");
+// One BigQuery row → { id, props } or { id, error } (failed transform / blank with policy "error")
+function buildUpdateInput(mapping, r) {
+  const raw = s(bqValue(r[mapping.matchColumn]));
+  const id = mapping.idProperty === "email" ? raw.toLowerCase() : raw;
+  const props = {};
 
-  console.log(`\n=== UPDATE (source: ${BQ_UPDATE_TABLE}) ===`);
+  for (const m of mapping.entries) {
+    let v;
+    try {
+      v = applyTransforms(m.property, r[m.column], m.transforms, r);
+    } catch (err) {
+      return { id, error: err.message };
+    }
+
+    const t = s(bqValue(v));
+    if (t !== "") {
+      props[m.property] = t;
+    } else if (m.blank === "clear") {
+      props[m.property] = "";
+    } else if (m.blank === "error") {
+      return { id, error: `${m.column} is blank (blank policy "error" for ${m.property})` };
+    }
+  }
+
+  return { id, props };
+}
+
+/**
+ * HubSpot merge (contacts, companies, deals, tickets) through the typed clients, which throw on
+ * 4xx/5xx like every other call here (apiRequest returns the raw response even when it failed).
+ */
+async function mergeRecords(hsClient, object, primaryId, mergeId) {
+  const input = { primaryObjectId: String(primaryId), objectIdToMerge: String(mergeId) };
+  if (object === "contacts") return hsClient.crm.contacts.basicApi.merge(input);
+  if (object === "companies") return hsClient.crm.companies.basicApi.merge(input);
+  if (object === "deals") return hsClient.crm.deals.basicApi.merge(input);
+  if (object === "tickets") return hsClient.crm.tickets.basicApi.merge(input);
+  throw new Error(`HubSpot has no merge endpoint for ${object}`);
+}
+
+/**
+ * Batch write of { id, properties } inputs. With idProperty=hs_object_id the ids are record IDs
+ * (plain batch update); otherwise a batch upsert on that unique-value property (email for contacts).
+ */
+async function upsertBatch(hsClient, object, idProperty, inputs) {
+  if (idProperty === "hs_object_id") {
+    const payload = { inputs: inputs.map(x => ({ id: x.id, properties: x.properties })) };
+    if (object === "contacts") return hsClient.crm.contacts.batchApi.update(payload);
+    if (object === "companies") return hsClient.crm.companies.batchApi.update(payload);
+    if (object === "deals") return hsClient.crm.deals.batchApi.update(payload);
+    if (object === "tickets") return hsClient.crm.tickets.batchApi.update(payload);
+    return hsClient.crm.objects.batchApi.update(object, payload);
+  }
+
+  const payload = { inputs: inputs.map(x => ({ idProperty, id: x.id, properties: x.properties })) };
+  if (object === "contacts") return hsClient.crm.contacts.batchApi.upsert(payload);
+  if (object === "companies") return hsClient.crm.companies.batchApi.upsert(payload);
+  if (object === "deals") return hsClient.crm.deals.batchApi.upsert(payload);
+  if (object === "tickets") return hsClient.crm.tickets.batchApi.upsert(payload);
+  return hsClient.crm.objects.batchApi.upsert(object, payload);
+}
+
+async function archiveBatch(hsClient, object, ids) {
+  const payload = { inputs: ids.map(id => ({ id })) };
+  if (object === "contacts") return hsClient.crm.contacts.batchApi.archive(payload);
+  if (object === "companies") return hsClient.crm.companies.batchApi.archive(payload);
+  if (object === "deals") return hsClient.crm.deals.batchApi.archive(payload);
+  if (object === "tickets") return hsClient.crm.tickets.batchApi.archive(payload);
+  return hsClient.crm.objects.batchApi.archive(object, payload);
+}
+
+// Direct runs (no plan file) don't track progress
+const NO_PROGRESS = { has: () => false, add: () => {} };
+
+// -------------------- ACTION: UPDATE (by email / idProperty) --------------------
+// strict = the result will be written (--apply or plan): mapping problems throw instead of warning
+async function prepareUpdate(bigquery, hsClient, { strict }) {
+  if (!BQ_UPDATE_TABLE) throw new Error(`Missing ${tableEnvName("UPDATE")} in .env`);
+
+  console.log(`\n=== UPDATE ${OBJECT} (source: ${BQ_UPDATE_TABLE}) ===`);
+
+  const mapping = loadUpdateMapping(MAPPING_PATH);
+  console.log(`Mapping: ${mapping.file} (${mapping.entries.length} properties, matched on ${mapping.idProperty})`);
 
   const query = `
     SELECT * FROM \`${BQ_UPDATE_TABLE}\`
@@ -91,117 +355,263 @@ async function runUpdate(bigquery, hsClient) {
   `;
   const rows = await bqQuery(bigquery, query);
   console.log(`Fetched ${rows.length} update rows`);
+  RUN.source("update", BQ_UPDATE_TABLE);
+  RUN.count("update", "rows", rows.length);
+
+  // Build inputs for batch upsert (by mapping.idProperty); blanks follow each property's policy
+  const built = rows.map(r => buildUpdateInput(mapping, r)).filter(x => x.id);
+  const rejected = built.filter(x => x.error);
+  const inputs = built.filter(x => !x.error);
+
+  // Report mapping problems before any write
+  const columns = new Set(rows.flatMap(r => Object.keys(r)));
+  const used = new Set([mapping.matchColumn, ...mapping.ignoreColumns, ...mapping.entries.map(m => m.column)]);
+  const unmapped = Array.from(columns).filter(c => !used.has(c));
+  if (unmapped.length) {
+    console.log(`⚠️ ${unmapped.length} column(s) in ${BQ_UPDATE_TABLE} are not mapped (add them to "ignoreColumns" to silence): ${unmapped.join(", ")}`);
+  }
+  if (rows.length && !columns.has(mapping.matchColumn)) {
+    throw new Error(`Match column ${mapping.matchColumn} is not in ${BQ_UPDATE_TABLE}`);
+  }
 
-  // Build inputs for batch upsert (idProperty=email)
-  // Only include non-empty properties so you don't overwrite with blanks.
-  const inputs = rows.map(r => {
-    const email = s(r.email).toLowerCase();
-    const props = {};
-
-    const maybe = (k, v) => {
-      const t = s(v);
-      if (t !== "") props[k] = t;
-    };
-
-    maybe("firstname", r.firstname);
-    maybe("lastname", r.lastname);
-    maybe("phone", r.phone);
-    maybe("jobtitle", r.jobtitle);
-    maybe("lifecyclestage", r.lifecyclestage);
-    maybe("hs_lead_status", r.hs_lead_status);
-    maybe("city", r.city);
-    // These might be your custom fields or your chosen mapping:
-    maybe("state", r.state);
-    maybe("country", r.country);
-
-    // If you created custom props like country_normalized/state_normalized in HubSpot, use these instead:
-    // maybe("country_normalized", r.country);
-    // maybe("state_normalized", r.state);
-
-    return { email, props };
-  }).filter(x => x.email);
-
-  console.log(`Prepared ${inputs.length} upsert inputs (email required)`);
+  const definitions = await loadPropertyDefinitions(hsClient, OBJECT);
 
-  if (!APPLY) {
-    console.log("DRY RUN: not sending updates to HubSpot. Use --apply to execute.");
-    return;
+  // upsert only works on properties HubSpot enforces as unique
+  const idDef = definitions.get(mapping.idProperty);
+  if (mapping.idProperty !== "hs_object_id" && mapping.idProperty !== "email" && !idDef?.hasUniqueValue) {
+    throw new Error(`idProperty ${mapping.idProperty} is not a unique-value ${OBJECT} property; use hs_object_id or a unique property`);
   }
 
+  const issues = checkSchema({
+    definitions,
+    mapping: Object.fromEntries(mapping.entries.map(m => [m.property, { column: m.column }])),
+    sampleRows: rows,
+    sampleProps: inputs.map(x => x.props),
+  });
+  if (issues.length) {
+    const report = formatSchemaReport(OBJECT, issues, inputs.length);
+    if (strict) throw new Error(report);
+    console.log(`⚠️ ${report}`);
+  } else {
+    console.log(`✅ Mapping check passed: ${mapping.entries.length} properties exist and are writable`);
+  }
+
+  if (rejected.length) {
+    console.log(`⚠️ Skipping ${rejected.length} rows:`);
+    for (const x of rejected.slice(0, 10)) console.log(`   ${x.id}: ${x.error}`);
+    if (rejected.length > 10) console.log(`   ... and ${rejected.length - 10} more`);
+  }
+
+  console.log(`Prepared ${inputs.length} upsert inputs (${mapping.matchColumn} required)`);
+  RUN.count("update", "skipped", rejected.length);
+  for (const x of rejected) RUN.error("update", x.error);
+  RUN.count("update", "prepared", inputs.length);
+
+  return {
+    ops: inputs.map(x => ({ op: "upsert", idProperty: mapping.idProperty, id: x.id, properties: x.props })),
+    info: { source: BQ_UPDATE_TABLE, mapping: mapping.file, rowsSkipped: rejected.length, unmappedColumns: unmapped.length },
+  };
+}
+
+async function executeUpdates(hsClient, object, ops, progress = NO_PROGRESS) {
+  const pending = ops.filter(o => !progress.has(o.seq));
+
   // Batch size: HubSpot batch endpoints typically accept up to 100 inputs
-  const batches = chunk(inputs, 100);
+  // (one mapping → one idProperty, so every batch is homogeneous)
+  const batches = chunk(pending, 100);
 
   let done = 0;
+  let rejectedCount = 0;
   for (const b of batches) {
-    // Convert to HubSpot batch upsert format
-    const payload = {
-      inputs: b.map(x => ({
-        id: x.email,
-        properties: x.props
-      }))
-    };
+    // a batch rejected by validation is split until the bad records are isolated (batch_bisect.js)
+    const res = await sendBisected(b, part => upsertBatch(hsClient, object, part[0].idProperty, part));
 
-    try {
-      // createOrUpdate using email as idProperty
-      // If your client version differs, this is the correct HubSpot API concept.
-      await hsClient.crm.contacts.batchApi.createOrUpdate("email", payload);
-      done += b.length;
-      console.log(`✅ updated ${done}/${inputs.length}`);
-    } catch (err) {
-      const body = err?.response?.body;
-      console.error("❌ update batch error:", body ? JSON.stringify(body) : (err?.message || err));
-      // continue
-    }
+    for (const x of res.written) progress.add(x.seq);
+    done += res.written.length;
+    rejectedCount += res.rejected.length;
+    appendRejects(REJECTS_PATH, res.rejected.map(r => ({
+      object, action: "update", id: r.item.id, error: r.error, properties: r.item.properties,
+    })));
+
+    RUN.count("update", "updated", res.written.length);
+    for (const r of [...res.rejected, ...res.failed]) RUN.error("update", r.error);
+
+    if (res.written.length) console.log(`✅ updated ${done}/${pending.length}`);
+    for (const r of res.rejected.slice(0, 5)) console.error(`❌ rejected ${r.item.id}: ${r.error}`);
+    if (res.rejected.length > 5) console.error(`   ... and ${res.rejected.length - 5} more rejected (see ${REJECTS_PATH})`);
+    if (res.failed.length) console.error(`❌ update batch error (${res.failed.length} records):`, res.failed[0].error);
 
     // gentle pacing
     await sleep(250);
   }
+
+  if (rejectedCount) {
+    console.log(`📄 ${rejectedCount} rejected records: ${REJECTS_PATH}`);
+    RUN.output("rejects", REJECTS_PATH);
+  }
+}
+
+async function runUpdate(bigquery, hsClient) {
+  const { ops } = await prepareUpdate(bigquery, hsClient, { strict: APPLY });
+
+  if (!APPLY) {
+    console.log("DRY RUN: not sending updates to HubSpot. Use --apply to execute.");
+    return;
+  }
+
+  await executeUpdates(hsClient, OBJECT, ops);
 }
 
 // -------------------- ACTION: DELETE (archive by id) --------------------
-async function runDelete(bigquery, hsClient) {
-  if (!BQ_DELETE_TABLE) throw new Error("Missing BQ_DELETE_TABLE in .env");
+async function prepareDelete(bigquery, hsClient, { strict }) {
+  if (!BQ_DELETE_TABLE) throw new Error(`Missing ${tableEnvName("DELETE")} in .env`);
 
-  console.log(`\n=== DELETE (archive) (source: ${BQ_DELETE_TABLE}) ===`);
+  console.log(`\n=== DELETE (archive) ${OBJECT} (source: ${BQ_DELETE_TABLE}) ===`);
 
+  // only id is required; email (contacts) is carried into the exclusion report
   const query = `
-    SELECT id, email, recommended_action
+    SELECT *
     FROM \`${BQ_DELETE_TABLE}\`
     ${LIMIT ? `LIMIT ${LIMIT}` : ""}
   `;
   const rows = await bqQuery(bigquery, query);
   console.log(`Fetched ${rows.length} delete rows`);
+  RUN.source("delete", BQ_DELETE_TABLE);
 
-  const ids = rows.map(r => s(r.id)).filter(Boolean);
-  console.log(`Prepared ${ids.length} ids to archive`);
+  const candidates = Array.from(new Set(rows.map(r => s(r.id)).filter(Boolean)));
+  console.log(`Prepared ${candidates.length} candidate ids`);
 
-  if (!APPLY) {
-    console.log("DRY RUN: not archiving in HubSpot. Use --apply to execute.");
-    return;
+  // Protection rules: drop anything with associations, recent activity or a protected stage
+  const rules = loadDeleteRules(DELETE_RULES_PATH, OBJECT);
+  if (MAX_DELETES !== null) rules.maxDeletes = MAX_DELETES;
+
+  const { keep: ids, excluded } = await applyDeleteRules(hsClient, OBJECT, candidates, rules);
+
+  const emailOf = new Map(rows.map(r => [s(r.id), s(r.email)]));
+  if (excluded.length) {
+    writeExclusionReport(DELETE_REPORT_PATH, excluded.map(x => ({ ...x, email: emailOf.get(x.id) || "" })));
+    const byRule = {};
+    for (const x of excluded) byRule[x.rule] = (byRule[x.rule] || 0) + 1;
+    console.log(`🛡️ Excluded ${candidates.length - ids.length} records: ${Object.entries(byRule).map(([k, n]) => `${k}=${n}`).join(", ")}`);
+    console.log(`📄 excluded report: ${DELETE_REPORT_PATH}`);
+  }
+
+  const token = confirmationToken(ids);
+  console.log(`Prepared ${ids.length} ids to archive (confirmation token: ${token})`);
+  RUN.count("delete", "candidates", candidates.length);
+  RUN.count("delete", "excluded", candidates.length - ids.length);
+  RUN.count("delete", "prepared", ids.length);
+
+  if (ids.length > rules.maxDeletes) {
+    const msg = `${ids.length} records to archive is over maxDeletes=${rules.maxDeletes}; tighten ${BQ_DELETE_TABLE} or raise --max-deletes`;
+    if (strict) throw new Error(msg);
+    console.log(`⚠️ ${msg}`);
+  }
+
+  return {
+    ops: ids.map(id => ({ op: "archive", id })),
+    token,
+    info: {
+      source: BQ_DELETE_TABLE,
+      candidates: candidates.length,
+      excluded: candidates.length - ids.length,
+      excludedReport: excluded.length ? DELETE_REPORT_PATH : null,
+      confirmationToken: token,
+    },
+  };
+}
+
+// the token ties a write to the exact ID list that was reviewed
+function checkConfirmation(token, where) {
+  if (CONFIRM === token) return;
+  throw new Error(
+    CONFIRM
+      ? `--confirm=${CONFIRM} does not match this run's ID list (token ${token}); the candidates changed since ${where}`
+      : `Archiving needs --confirm=${token} (review ${where} first)`
+  );
+}
+
+async function executeArchives(bigquery, hsClient, object, ops, progress = NO_PROGRESS) {
+  const pending = ops.filter(o => !progress.has(o.seq));
+  if (!pending.length) return;
+
+  const ids = pending.map(o => o.id);
+
+  // Snapshot first: nothing is archived unless its snapshot was stored
+  const snapshotId = new Date().toISOString();
+  const snap = await writeSnapshots({
+    hsClient,
+    object,
+    ids,
+    ndjsonPath: path.join(SNAPSHOT_DIR, `${object}_${snapshotId.replace(/[:.]/g, "-")}.ndjson`),
+    bigquery: BQ_DELETE_SNAPSHOT_TABLE ? bigquery : null,
+    tableName: BQ_DELETE_SNAPSHOT_TABLE,
+    location: BQ_LOCATION,
+    snapshotId,
+  });
+  console.log(`📄 snapshot: ${snap.path}${BQ_DELETE_SNAPSHOT_TABLE ? ` + BigQuery ${BQ_DELETE_SNAPSHOT_TABLE}` : ""}`);
+  RUN.output("deleteSnapshot", snap.path);
+
+  const notSnapshotted = ids.filter(id => !snap.snapshotted.has(id));
+  if (notSnapshotted.length) {
+    console.log(`⚠️ ${notSnapshotted.length} records were not returned for the snapshot and will not be archived: ${notSnapshotted.slice(0, 10).join(", ")}`);
   }
+  const toArchive = pending.filter(o => snap.snapshotted.has(o.id));
+  RUN.count("delete", "notSnapshotted", notSnapshotted.length);
+  RUN.error("delete", "not returned for the snapshot, so not archived", notSnapshotted.length);
 
-  const batches = chunk(ids, 100);
+  const batches = chunk(toArchive, 100);
   let done = 0;
+  let rejectedCount = 0;
 
   for (const b of batches) {
-    try {
-      await hsClient.crm.contacts.batchApi.archive({ inputs: b.map(id => ({ id })) });
-      done += b.length;
-      console.log(`✅ archived ${done}/${ids.length}`);
-    } catch (err) {
-      const body = err?.response?.body;
-      console.error("❌ archive batch error:", body ? JSON.stringify(body) : (err?.message || err));
-    }
+    const res = await sendBisected(b, part => archiveBatch(hsClient, object, part.map(o => o.id)));
+
+    for (const o of res.written) progress.add(o.seq);
+    done += res.written.length;
+    rejectedCount += res.rejected.length;
+    appendRejects(REJECTS_PATH, res.rejected.map(r => ({ object, action: "archive", id: r.item.id, error: r.error })));
+
+    RUN.count("delete", "archived", res.written.length);
+    for (const r of [...res.rejected, ...res.failed]) RUN.error("delete", r.error);
+
+    if (res.written.length) console.log(`✅ archived ${done}/${toArchive.length}`);
+    for (const r of res.rejected.slice(0, 5)) console.error(`❌ rejected ${r.item.id}: ${r.error}`);
+    if (res.rejected.length > 5) console.error(`   ... and ${res.rejected.length - 5} more rejected (see ${REJECTS_PATH})`);
+    if (res.failed.length) console.error(`❌ archive batch error (${res.failed.length} records):`, res.failed[0].error);
 
     await sleep(250);
   }
+
+  if (rejectedCount) {
+    console.log(`📄 ${rejectedCount} rejected records: ${REJECTS_PATH}`);
+    RUN.output("rejects", REJECTS_PATH);
+  }
+}
+
+async function runDelete(bigquery, hsClient) {
+  const { ops, token } = await prepareDelete(bigquery, hsClient, { strict: APPLY });
+
+  if (!APPLY) {
+    console.log(`DRY RUN: not archiving in HubSpot. Use --apply --confirm=${token} to execute.`);
+    return;
+  }
+
+  if (!ops.length) {
+    console.log("Nothing left to archive after the protection rules.");
+    return;
+  }
+
+  checkConfirmation(token, "the dry run");
+  await executeArchives(bigquery, hsClient, OBJECT, ops);
 }
 
 // -------------------- ACTION: MERGE (primary_id + merge_these_ids[]) --------------------
-async function runMerge(bigquery, hsClient) {
-  if (!BQ_MERGE_TABLE) throw new Error("Missing BQ_MERGE_TABLE in .env");
+async function prepareMerge(bigquery, hsClient) {
+  if (!OBJECT_TYPE.mergeable) throw new Error(`HubSpot has no merge endpoint for ${OBJECT} (only contacts, companies, deals, tickets)`);
+  if (!BQ_MERGE_TABLE) throw new Error(`Missing ${tableEnvName("MERGE")} in .env`);
 
-  console.log(`\n=== MERGE (source: ${BQ_MERGE_TABLE}) ===`);
+  console.log(`\n=== MERGE ${OBJECT} (source: ${BQ_MERGE_TABLE}) ===`);
 
   const query = `
     SELECT
@@ -213,6 +623,7 @@ async function runMerge(bigquery, hsClient) {
   `;
   const rows = await bqQuery(bigquery, query);
   console.log(`Fetched ${rows.length} merge groups`);
+  RUN.source("merge", BQ_MERGE_TABLE);
 
   // Normalize merge_these_ids: BigQuery returns arrays already in many clients; handle string too.
   const groups = rows
@@ -227,57 +638,315 @@ async function runMerge(bigquery, hsClient) {
 
   console.log(`Prepared ${groups.length} merge groups`);
 
-  if (!APPLY) {
-    console.log("DRY RUN: not merging in HubSpot. Use --apply to execute.");
-    console.log("Example group:", groups[0] || "(none)");
-    return;
+  // Plan: flatten chains, flag cycles/shared members, then check every ID against HubSpot
+  const plan = buildMergePlan(groups);
+  plan.object = OBJECT;
+  plan.source = BQ_MERGE_TABLE;
+
+  const ids = Array.from(new Set(plan.clusters.flatMap(c => c.ids)));
+  console.log(`Checking ${ids.length} IDs against HubSpot...`);
+  const invalid = await findInvalidIds(hsClient, OBJECT, ids);
+  applyHubSpotCheck(plan, invalid);
+
+  writeMergePlan(MERGE_PLAN_PATH, plan);
+  const summary = summarizeMergePlan(plan);
+  console.log(
+    `Merge plan: ${summary.clusters} clusters, ${summary.ready} ready (${summary.merges} merges, ${summary.chained} flattened from chains), ` +
+    `${summary.blocked} blocked, ${summary.nothingToDo} nothing to do, ${summary.skipped} IDs skipped`
+  );
+  console.log(`📄 plan: ${MERGE_PLAN_PATH}`);
+  RUN.output("mergePlan", MERGE_PLAN_PATH);
+  RUN.count("merge", "groups", groups.length);
+  RUN.count("merge", "readyClusters", summary.ready);
+  RUN.count("merge", "blockedClusters", summary.blocked);
+  RUN.count("merge", "prepared", summary.merges);
+
+  const blocked = plan.clusters.filter(c => c.status === "BLOCKED");
+  for (const c of blocked.slice(0, 10)) {
+    console.log(`⚠️ BLOCKED [${c.groups.join(", ")}]: ${c.issues.join("; ")}`);
   }
+  if (blocked.length > 10) console.log(`   ... and ${blocked.length - 10} more blocked clusters (see plan)`);
+
+  // Merge is one-call-per-pair (final primary + one merge id); blocked clusters are never touched
+  const ready = plan.clusters.filter(c => c.status === "READY");
+
+  return {
+    ops: ready.flatMap(c => c.merge.map(mergeId => ({
+      op: "merge",
+      primary: c.primary,
+      merge_id: mergeId,
+      merge_key: c.groups.join(","),
+    }))),
+    ready,
+    info: {
+      source: BQ_MERGE_TABLE,
+      clusters: summary.clusters,
+      blockedClusters: summary.blocked,
+      chained: summary.chained,
+      mergePlan: MERGE_PLAN_PATH,
+    },
+  };
+}
+
+async function executeMerges(bigquery, hsClient, object, ops, progress = NO_PROGRESS) {
+  const pending = ops.filter(o => !progress.has(o.seq));
+  if (!pending.length) return;
+
+  // Every pair gets an audit row with both records snapshotted just before the merge
+  const audit = await openMergeAudit({
+    jsonlPath: MERGE_AUDIT_PATH,
+    bigquery: BQ_MERGE_AUDIT_TABLE ? bigquery : null,
+    tableName: BQ_MERGE_AUDIT_TABLE,
+    location: BQ_LOCATION,
+    runId: new Date().toISOString(),
+  });
+  const snapshot = makeSnapshotter(hsClient, object);
+  console.log(`📄 merge audit: ${audit.path}${audit.table ? ` + BigQuery ${audit.table}` : ""}`);
+  RUN.output("mergeAudit", audit.path);
 
   let mergedPairs = 0;
 
-  // Merge is one-call-per-pair (primary + one merge id)
-  for (const g of groups) {
-    for (const mergeId of g.merge_these_ids) {
-      try {
-        await mergeContact(hsClient, g.primary_id, mergeId);
+  try {
+    for (const o of pending) {
+      const row = await auditedMerge({
+        audit,
+        snapshot,
+        object,
+        mergeKey: o.merge_key,
+        primaryId: o.primary,
+        mergedId: o.merge_id,
+        merge: () => mergeRecords(hsClient, object, o.primary, o.merge_id),
+      });
+
+      if (row.outcome === "MERGED") {
+        progress.add(o.seq);
         mergedPairs += 1;
-        console.log(`✅ merged into ${g.primary_id} <- ${mergeId} (${g.merge_key}) [pairs=${mergedPairs}]`);
-      } catch (err) {
-        const body = err?.response?.body;
-        console.error(`❌ merge error primary=${g.primary_id} merge=${mergeId}:`, body ? JSON.stringify(body) : (err?.message || err));
+        RUN.count("merge", "merged");
+        console.log(`✅ merged into ${o.primary} <- ${o.merge_id} (${o.merge_key}) [pairs=${mergedPairs}]`);
+      } else if (row.outcome === "SNAPSHOT_FAILED") {
+        console.error(`❌ not merging primary=${o.primary} merge=${o.merge_id}: snapshot failed: ${row.error}`);
+        RUN.error("merge", row.error);
+      } else {
+        console.error(`❌ merge error primary=${o.primary} merge=${o.merge_id}:`, row.error);
+        RUN.error("merge", row.error);
       }
 
       // merges can be rate-limited; pace more
       await sleep(400);
     }
+  } finally {
+    await audit.close();
   }
 }
 
+async function runMerge(bigquery, hsClient) {
+  const { ops, ready } = await prepareMerge(bigquery, hsClient);
+
+  if (!APPLY) {
+    console.log("DRY RUN: not merging in HubSpot. Review the plan, then use --apply to execute the ready clusters.");
+    console.log("Example cluster:", ready[0] || "(none)");
+    return;
+  }
+
+  await executeMerges(bigquery, hsClient, OBJECT, ops);
+}
+
+// -------------------- ALL (merge → update → delete in one run) --------------------
+async function runAll(bigquery, hsClient) {
+  // Recommended order:
+  // 1) Merge first (reduces duplicate collisions)
+  // 2) Update next (now updates land on the surviving record)
+  // 3) Delete last (archive empties/junk after merges)
+  if (!APPLY) {
+    if (OBJECT_TYPE.mergeable) await runMerge(bigquery, hsClient);
+    else console.log(`\nSkipping merge: HubSpot cannot merge ${OBJECT} records`);
+    await runUpdate(bigquery, hsClient);
+    await runDelete(bigquery, hsClient);
+    return;
+  }
+
+  // Like plan/apply, every phase is prepared before anything is written: after the merges the
+  // merged-away delete candidates are gone, so the token from the dry run would no longer match.
+  const merge = OBJECT_TYPE.mergeable ? await prepareMerge(bigquery, hsClient) : null;
+  if (!merge) console.log(`\nSkipping merge: HubSpot cannot merge ${OBJECT} records`);
+  const update = await prepareUpdate(bigquery, hsClient, { strict: true });
+  const del = await prepareDelete(bigquery, hsClient, { strict: true });
+  if (del.ops.length) checkConfirmation(del.token, "the dry run");
+
+  if (merge) {
+    console.log("\n=== MERGE ===");
+    await executeMerges(bigquery, hsClient, OBJECT, merge.ops);
+  }
+
+  console.log("\n=== UPDATE ===");
+  await executeUpdates(hsClient, OBJECT, update.ops);
+
+  console.log("\n=== DELETE ===");
+  if (!del.ops.length) console.log("Nothing left to archive after the protection rules.");
+  await executeArchives(bigquery, hsClient, OBJECT, del.ops);
+}
+
+// -------------------- PLAN / APPLY (all phases from one reviewed plan file) --------------------
+async function runPlan(bigquery, hsClient) {
+  // Recommended order: merge → update (lands on the surviving record) → delete
+  const merge = OBJECT_TYPE.mergeable ? await prepareMerge(bigquery, hsClient) : null;
+  if (!merge) console.log(`\nSkipping merge: HubSpot cannot merge ${OBJECT} records`);
+  const update = await prepareUpdate(bigquery, hsClient, { strict: true });
+  const del = await prepareDelete(bigquery, hsClient, { strict: true });
+
+  const plan = buildPlan({ merge, update, delete: del }, { object: OBJECT, limit: LIMIT });
+  const planPath = PLAN_OUT_PATH || path.join("./data/plans", `plan_${plan.createdAt.replace(/[:.]/g, "-")}.json`);
+  writePlan(planPath, plan);
+  RUN.output("plan", planPath);
+
+  console.log(`\n${formatPlanSummary(plan, planPath)}`);
+  console.log(`\nReview the plan, then: node hubspot-import-cli.js apply ${planPath}${del.ops.length ? ` --confirm=${del.token}` : ""}`);
+}
+
+async function runApply(bigquery, hsClient) {
+  if (!PLAN_FILE) throw new Error("apply needs a plan file: node hubspot-import-cli.js apply <planfile>");
+
+  const plan = loadPlan(PLAN_FILE, { maxAgeHours: MAX_AGE_HOURS });
+  console.log(formatPlanSummary(plan, PLAN_FILE));
+
+  // the plan decides the object type; --object only has to agree with it when given
+  if (objectArg && plan.object !== OBJECT) throw new Error(`Plan is for ${plan.object}, not --object=${OBJECT}`);
+
+  const byPhase = (phase) => plan.operations.filter(o => o.phase === phase);
+  const archives = byPhase("delete");
+  if (archives.length) checkConfirmation(confirmationToken(archives.map(o => o.id)), "the plan");
+
+  // progress journal next to the plan: one line per finished operation, so a rerun resumes
+  const progress = openCheckpoint(path.dirname(PLAN_FILE), jobIdentity({ kind: "plan-apply", checksum: plan.checksum }));
+  const already = plan.operations.filter(o => progress.has(o.seq)).length;
+  RUN.source("apply", PLAN_FILE);
+  RUN.count("apply", "operations", plan.operations.length);
+  RUN.count("apply", "alreadyDone", already);
+  console.log(`📌 progress: ${progress.path}${already ? ` (resuming: ${already}/${plan.operations.length} already done)` : ""}`);
+
+  try {
+    console.log("\n=== MERGE (from plan) ===");
+    await executeMerges(bigquery, hsClient, plan.object, byPhase("merge"), progress);
+
+    console.log("\n=== UPDATE (from plan) ===");
+    await executeUpdates(hsClient, plan.object, byPhase("update"), progress);
+
+    console.log("\n=== DELETE (from plan) ===");
+    await executeArchives(bigquery, hsClient, plan.object, archives, progress);
+  } finally {
+    progress.close();
+  }
+
+  const remaining = plan.operations.filter(o => !progress.has(o.seq)).length;
+  RUN.count("apply", "remaining", remaining);
+  console.log(`\nApplied ${plan.operations.length - remaining}/${plan.operations.length} operations`);
+  if (remaining) console.log(`⚠️ ${remaining} operations did not finish; rerun the same apply command to retry them`);
+}
+
+// -------------------- ACTION: RESTORE (re-create from a delete snapshot) --------------------
+async function runRestore(hsClient) {
+  if (!SNAPSHOT_PATH) throw new Error("restore needs --snapshot=<file.ndjson> (written by delete --apply)");
+
+  console.log(`\n=== RESTORE (source: ${SNAPSHOT_PATH}) ===`);
+
+  const records = await readSnapshotFile(SNAPSHOT_PATH);
+  const selected = LIMIT ? records.slice(0, LIMIT) : records;
+  console.log(`Loaded ${selected.length} snapshot records`);
+
+  const reportPath = SNAPSHOT_PATH.replace(/(\.ndjson)?$/i, "_restore.csv");
+  // journal next to the snapshot: records restored by an earlier --apply are not created again
+  const restored = openCheckpoint(path.dirname(SNAPSHOT_PATH), jobIdentity({ kind: "restore", snapshot: path.resolve(SNAPSHOT_PATH) }));
+  let result;
+  try {
+    result = await restoreFromSnapshot({ hsClient, records: selected, apply: APPLY, reportPath, checkpoint: restored });
+  } finally {
+    restored.close();
+  }
+  const { rows, counts } = result;
+
+  RUN.source("restore", SNAPSHOT_PATH);
+  RUN.output("restoreReport", reportPath);
+  for (const [k, n] of Object.entries(counts)) if (k !== "ERROR") RUN.count("restore", k, n);
+  for (const r of rows) {
+    if (r.status === "ERROR") RUN.error("restore", r.error);
+    if (r.associations_failed) RUN.count("restore", "associationsFailed", r.associations_failed);
+  }
+
+  console.log(`Restore: ${Object.entries(counts).map(([k, n]) => `${k}=${n}`).join(", ") || "nothing to do"}`);
+  console.log(`📄 report: ${reportPath}`);
+
+  if (!APPLY) console.log("DRY RUN: nothing re-created in HubSpot. Use --apply to execute.");
+}
+
+// -------------------- ACTION: ASSOCIATIONS (create missing, optional mirror) --------------------
+async function runAssociations(bigquery, hsClient) {
+  if (!BQ_ASSOCIATIONS_TABLE) throw new Error("Missing BQ_ASSOCIATIONS_TABLE in .env");
+  if (MIRROR && LIMIT) throw new Error("--mirror cannot be combined with --limit: associations of the rows left out would be removed");
+
+  console.log(`\n=== ASSOCIATIONS${MIRROR ? " (mirror)" : ""} (source: ${BQ_ASSOCIATIONS_TABLE}) ===`);
+
+  const result = await syncAssociationsFromBigQuery({
+    sql: `SELECT * FROM \`${BQ_ASSOCIATIONS_TABLE}\``,
+    fromObject: objectArg ? OBJECT : null,
+    toObject: TO_OBJECT,
+    apply: APPLY,
+    mirror: MIRROR,
+    limit: LIMIT,
+    outputCsvPath: ASSOCIATIONS_LOG_PATH,
+    hubspotClient: hsClient,
+    bigqueryClient: bigquery,
+  });
+
+  RUN.source("associations", BQ_ASSOCIATIONS_TABLE);
+  RUN.output("associationsLog", ASSOCIATIONS_LOG_PATH);
+  for (const [k, n] of Object.entries(result.counts)) if (k !== "ERROR") RUN.count("associations", k, n);
+  for (const e of result.errors) RUN.error("associations", e);
+  // never sent, so the run is partial
+  for (const e of result.invalid) RUN.error("associations", e);
+
+  console.log(`Associations: ${Object.entries(result.counts).map(([k, n]) => `${k}=${n}`).join(", ") || "nothing to do"}`);
+
+  if (!APPLY) console.log(`DRY RUN: no associations changed in HubSpot. Use --apply${MIRROR ? " --mirror" : ""} to execute.`);
+}
+
 // -------------------- MAIN --------------------
 (async () => {
   const bigquery = new BigQuery({ projectId: BQ_PROJECT_ID });
   const hsClient = new hubspot.Client({ accessToken: HUBSPOT_TOKEN });
 
   console.log(`Mode: ${APPLY ? "APPLY (writes to HubSpot)" : "DRY RUN (no writes)"}`);
-  console.log(`Command: ${cmd}${LIMIT ? ` (limit=${LIMIT})` : ""}`);
+  console.log(`Command: ${cmd}${cmd === "apply" || cmd === "restore" ? "" : ` ${OBJECT}`}${LIMIT ? ` (limit=${LIMIT})` : ""}`);
 
   if (cmd === "update") await runUpdate(bigquery, hsClient);
   if (cmd === "delete") await runDelete(bigquery, hsClient);
   if (cmd === "merge")  await runMerge(bigquery, hsClient);
+  if (cmd === "restore") await runRestore(hsClient);
+  if (cmd === "plan")   await runPlan(bigquery, hsClient);
+  if (cmd === "apply")  await runApply(bigquery, hsClient);
+  if (cmd === "associations") await runAssociations(bigquery, hsClient);
 
-  if (cmd === "all") {
-    // Recommended order:
-    // 1) Merge first (reduces duplicate collisions)
-    // 2) Update next (now updates land on the surviving record)
-    // 3) Delete last (archive empties/junk after merges)
-    await runMerge(bigquery, hsClient);
-    await runUpdate(bigquery, hsClient);
-    await runDelete(bigquery, hsClient);
-  }
+  if (cmd === "all") await runAll(bigquery, hsClient);
+
+  const { status, exitCode } = RUN.finish();
+  const out = writeRunSummary(SUMMARY_PATH, RUN.summary);
+  console.log(`📄 run summary: ${out.jsonPath} (+ ${path.basename(out.mdPath)})`);
 
-  console.log("\n✅ Done.");
+  if (status === "partial") {
+    console.log(`\n⚠️ Done with errors (exit ${exitCode}).`);
+  } else {
+    console.log("\n✅ Done.");
+  }
+  process.exit(exitCode);
 })().catch(err => {
   const body = err?.response?.body;
   console.error("❌ Failed:", body ? JSON.stringify(body) : (err?.message || err));
-  process.exit(1);
+
+  const { exitCode } = RUN.finish(err);
+  try {
+    const out = writeRunSummary(SUMMARY_PATH, RUN.summary);
+    console.error(`📄 run summary: ${out.jsonPath}`);
+  } catch (e) {
+    console.error("❌ Could not write run summary:", e?.message || e);
+  }
+  process.exit(exitCode);
 });
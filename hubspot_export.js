@@ -0,0 +1,654 @@
+// hubspot_export.js
+// Generic CRM export: any object type (standard or custom), a property list and/or property
+// group, and association types, paged through crm.objects.basicApi.getPage into a CSV.
+//
+// Columns: id, the requested properties in the order given (group properties after the list),
+// then one <singular>_ids column per association type (IDs joined with "|"), e.g. company_ids.
+//
+// Custom objects are resolved by name through the schemas API: "cars", "car", "Cars",
+// "p12345_cars" and "2-12345" all resolve to the same objectTypeId.
+//
+// Incremental mode reads only records modified since the export's watermark
+// (export_watermarks.js) through the search API, into a delta file or upserted into the
+// existing export CSV. Any export can load into BigQuery instead of CSV (bigquery_export.js).
+//
+// exportAssociationEdges writes the association graph between two object types, one row per
+// association type and label (export-associations.js).
+
+const fs = require("fs");
+const path = require("path");
+const csv = require("csv-parser");
+const { BigQuery } = require("@google-cloud/bigquery");
+const { createObjectCsvWriter } = require("csv-writer");
+
+const { withRetry } = require(path.join(__dirname, "hubspot_retry.js"));
+const { loadPropertyDefinitions } = require(path.join(__dirname, "hubspot_schema.js"));
+const { readAssociationsBatch } = require(path.join(__dirname, "hubspot_snapshot.js"));
+const { getWatermark, setWatermark } = require(path.join(__dirname, "export_watermarks.js"));
+const { bigQuerySchema, openBigQuerySink } = require(path.join(__dirname, "bigquery_export.js"));
+const { READ_LIMIT } = require(path.join(__dirname, "sync_util.js"));
+
+const PAGE_LIMIT = 100;
+const SEARCH_LIMIT = 200;
+// getPage sends the property names in the URL; chunks keep it well under HubSpot's URL limit
+const PROPERTY_CHUNK_CHARS = 3000;
+// search pages through at most this many results per query
+const SEARCH_MAX_RESULTS = 10000;
+// search indexing trails writes by a few seconds; runs stop this far before "now"
+const INDEX_LAG_MS = 60 * 1000;
+
+// standard object types → singular name (used for <singular>_ids association columns)
+const STANDARD_OBJECTS = {
+  contacts: "contact",
+  companies: "company",
+  deals: "deal",
+  tickets: "ticket",
+  line_items: "line_item",
+  products: "product",
+  quotes: "quote",
+  calls: "call",
+  emails: "email",
+  meetings: "meeting",
+  notes: "note",
+  tasks: "task",
+  communications: "communication",
+  postal_mail: "postal_mail",
+  leads: "lead",
+  carts: "cart",
+  orders: "order",
+  invoices: "invoice",
+  subscriptions: "subscription",
+  payments: "payment",
+  goal_targets: "goal_target",
+  feedback_submissions: "feedback_submission",
+};
+
+/** ---------- Object types ---------- */
+function normalizeName(s) {
+  return String(s || "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+/**
+ * Returns resolve(name) → { name, objectType, singular, keys }.
+ *   objectType: what the API takes ("contacts", "2-12345")
+ *   singular:   base of the association column name
+ *   keys:       names HubSpot may use for this type in a record's `associations`
+ * Schemas are loaded once, on the first name that is not a standard object.
+ */
+function createObjectResolver(hsClient) {
+  let schemas = null;
+
+  return async function resolve(name) {
+    const n = normalizeName(name);
+    if (!n) throw new Error("Object type is required");
+
+    const standard = STANDARD_OBJECTS[n] ? n : Object.keys(STANDARD_OBJECTS).find((k) => STANDARD_OBJECTS[k] === n);
+    if (standard) {
+      return { name: standard, objectType: standard, singular: STANDARD_OBJECTS[standard], keys: [standard] };
+    }
+
+    if (!schemas) {
+      const res = await withRetry(() => hsClient.crm.schemas.coreApi.getAll());
+      schemas = res?.results || [];
+    }
+
+    const schema = schemas.find((s) => [
+      s.name,
+      s.objectTypeId,
+      s.fullyQualifiedName,
+      s.labels?.singular,
+      s.labels?.plural,
+    ].some((x) => x && normalizeName(x) === n));
+
+    if (!schema) {
+      const known = schemas.map((s) => `${s.name} (${s.objectTypeId})`).join(", ") || "none";
+      throw new Error(`Unknown object type "${name}": not a standard object or custom object schema (custom objects: ${known})`);
+    }
+
+    return {
+      name: schema.name,
+      objectType: schema.objectTypeId,
+      singular: normalizeName(schema.labels?.singular || schema.name),
+      keys: [schema.objectTypeId, schema.fullyQualifiedName, schema.name, normalizeName(schema.labels?.plural)].filter(Boolean),
+    };
+  };
+}
+
+/** ---------- Properties ---------- */
+const ORIGINS = ["hubspot", "custom"];
+
+/**
+ * The property names to export: `properties` as given, then, with allProperties or any filter,
+ * every other property of the object that passes all filters:
+ *   group    property group name
+ *   origin   "hubspot" (HubSpot-defined) or "custom"
+ *   pattern  regular expression on the property name (case-insensitive)
+ * Unknown properties or groups throw (getPage would silently return blanks).
+ */
+function resolveProperties(definitions, objectType, { properties = [], allProperties = false, group = null, origin = null, pattern = null } = {}) {
+  const filtered = Boolean(allProperties || group || origin || pattern);
+  if (!properties.length && !filtered) throw new Error("Pass a property list, a property group or all properties");
+  if (origin && !ORIGINS.includes(origin)) throw new Error(`Invalid property origin: ${origin} (expected ${ORIGINS.join(" or ")})`);
+
+  let re = null;
+  try {
+    re = pattern ? new RegExp(pattern, "i") : null;
+  } catch (e) {
+    throw new Error(`Invalid property pattern ${pattern}: ${e.message}`);
+  }
+
+  const unknown = properties.filter((p) => !definitions.has(p));
+  if (unknown.length) throw new Error(`Unknown ${objectType} properties: ${unknown.join(", ")}`);
+
+  const names = Array.from(new Set(properties));
+  if (filtered) {
+    const all = Array.from(definitions.values());
+    if (group && !all.some((d) => d.groupName === group)) {
+      const groups = Array.from(new Set(all.map((d) => d.groupName).filter(Boolean))).sort();
+      throw new Error(`No ${objectType} properties in group "${group}" (groups: ${groups.join(", ")})`);
+    }
+
+    const matches = all.filter((d) => (!group || d.groupName === group)
+      && (!origin || (origin === "hubspot") === Boolean(d.hubspotDefined))
+      && (!re || re.test(d.name)));
+    if (!matches.length) {
+      const filters = [group && `group ${group}`, origin && `${origin} properties`, pattern && `pattern ${pattern}`].filter(Boolean);
+      throw new Error(`No ${objectType} properties match ${filters.join(", ")}`);
+    }
+    for (const d of matches) if (!names.includes(d.name)) names.push(d.name);
+  }
+  return names;
+}
+
+/** Splits property names into chunks of at most maxChars (comma-joined). */
+function chunkProperties(names, maxChars = PROPERTY_CHUNK_CHARS) {
+  const chunks = [];
+  let current = [];
+  let length = 0;
+  for (const name of names) {
+    if (current.length && length + name.length + 1 > maxChars) {
+      chunks.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(name);
+    length += name.length + 1;
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+// records were fetched with the first chunk; batch-read every other chunk and merge by id
+async function stitchProperties(hsClient, objectType, records, chunks) {
+  const byId = new Map(records.map((r) => [String(r.id), r]));
+  for (const chunk of chunks) {
+    for (let i = 0; i < records.length; i += READ_LIMIT) {
+      const slice = records.slice(i, i + READ_LIMIT);
+      const res = await withRetry(() => hsClient.crm.objects.batchApi.read(objectType, {
+        inputs: slice.map((r) => ({ id: String(r.id) })),
+        properties: chunk,
+      }));
+      for (const r of res?.results || []) {
+        const record = byId.get(String(r.id));
+        if (record) record.properties = { ...record.properties, ...r.properties };
+      }
+    }
+  }
+  return records;
+}
+
+/** ---------- Rows ---------- */
+function associationColumn(assoc) {
+  return `${assoc.singular}_ids`;
+}
+
+function headersFor(properties, associations) {
+  return ["id", ...properties, ...associations.map(associationColumn)];
+}
+
+// IDs of one association type; v3 lists a pair once per association type, so de-duplicate
+function associatedIds(record, assoc) {
+  const a = record.associations || {};
+  const key = Object.keys(a).find((k) => assoc.keys.some((x) => normalizeName(x) === normalizeName(k)));
+  const ids = key ? (a[key]?.results || []).map((r) => r.id).filter(Boolean) : [];
+  return Array.from(new Set(ids.map(String)));
+}
+
+// columns renames property columns ({ property: column }); unlisted properties keep their name
+function toRow(record, properties, associations, columns = {}) {
+  const p = record.properties || {};
+  const row = { id: record.id };
+  for (const name of properties) row[columns[name] || name] = p[name] ?? "";
+  for (const assoc of associations) row[associationColumn(assoc)] = associatedIds(record, assoc).join("|");
+  return row;
+}
+
+// Writes the header line (property names need no quoting), then write(rows) appends rows;
+// csv-writer would emit a blank line for an empty batch
+function openCsv(filePath, headers) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${headers.join(",")}\n`, "utf8");
+  const csvWriter = createObjectCsvWriter({ path: filePath, header: headers, append: true });
+  return {
+    async write(rows) {
+      if (rows.length) await csvWriter.writeRecords(rows);
+    },
+    async close() {},
+  };
+}
+
+/** ---------- Incremental (search API) ---------- */
+
+// contacts keep the legacy name; every other object type uses hs_lastmodifieddate
+function modifiedProperty(objectType) {
+  return objectType === "contacts" ? "lastmodifieddate" : "hs_lastmodifieddate";
+}
+
+const iso = (ms) => new Date(ms).toISOString();
+
+/**
+ * Calls onPage(results) for every record whose modification time is in (from, to] (epoch ms).
+ * Search can only page through the first 10k results of a query, so a window with more
+ * matches is split in half until every part fits. Returns the number of windows searched.
+ */
+async function searchModified(hsClient, objectType, { properties, from, to, onPage }) {
+  const prop = modifiedProperty(objectType);
+  const search = (after) => withRetry(() => hsClient.crm.objects.searchApi.doSearch(objectType, {
+    filterGroups: [{
+      filters: [
+        { propertyName: prop, operator: "GT", value: String(from) },
+        { propertyName: prop, operator: "LTE", value: String(to) },
+      ],
+    }],
+    sorts: [{ propertyName: "hs_object_id", direction: "ASCENDING" }],
+    properties,
+    limit: SEARCH_LIMIT,
+    ...(after ? { after } : {}),
+  }));
+
+  let res = await search();
+  const total = res?.total || 0;
+  if (total > SEARCH_MAX_RESULTS) {
+    if (to - from <= 1) throw new Error(`${total} ${objectType} modified at ${iso(to)}; the window cannot be split further`);
+    const mid = Math.floor((from + to) / 2);
+    console.log(`↔️  ${total} ${objectType} modified in ${iso(from)} – ${iso(to)}, splitting the window`);
+    return (await searchModified(hsClient, objectType, { properties, from, to: mid, onPage }))
+      + (await searchModified(hsClient, objectType, { properties, from: mid, to, onPage }));
+  }
+
+  for (;;) {
+    await onPage(res?.results || []);
+    const after = res?.paging?.next?.after;
+    if (!after) return 1;
+    res = await search(after);
+  }
+}
+
+// search results carry no associations: read them per type (v4 batch, fully paginated)
+async function attachAssociations(hsClient, objectType, records, associations) {
+  const ids = records.map((r) => String(r.id));
+  for (const assoc of associations) {
+    const byId = ids.length ? await readAssociationsBatch(hsClient, objectType, ids, assoc.objectType) : new Map();
+    for (const r of records) {
+      r.associations = r.associations || {};
+      r.associations[assoc.keys[0]] = { results: (byId.get(String(r.id)) || []).map((t) => ({ id: t.id })) };
+    }
+  }
+  return records;
+}
+
+function readCsv(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let headers = [];
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on("headers", (h) => { headers = h; })
+      .on("data", (row) => rows.push(row))
+      .on("end", () => resolve({ headers, rows }))
+      .on("error", (err) => reject(err));
+  });
+}
+
+/**
+ * Upserts rows (by id) into an existing export CSV with the same columns; rewritten through a
+ * temp file. Returns { updated, inserted, total }.
+ */
+async function upsertSnapshot(snapshotPath, headers, rows) {
+  if (!fs.existsSync(snapshotPath)) {
+    throw new Error(`Snapshot ${snapshotPath} not found; run a full export to it first`);
+  }
+  const existing = await readCsv(snapshotPath);
+  if (existing.headers.join(",") !== headers.join(",")) {
+    throw new Error(
+      `Snapshot ${snapshotPath} has other columns than this export (${existing.headers.join(",")}); run a full export to it first`
+    );
+  }
+
+  const byId = new Map(existing.rows.map((r) => [String(r.id), r]));
+  let updated = 0;
+  for (const r of rows) {
+    if (byId.has(String(r.id))) updated += 1;
+    byId.set(String(r.id), r);
+  }
+
+  const tmp = `${snapshotPath}.tmp`;
+  await openCsv(tmp, headers).write(Array.from(byId.values()));
+  fs.renameSync(tmp, snapshotPath);
+
+  return { updated, inserted: rows.length - updated, total: byId.size };
+}
+
+/** ---------- Export ---------- */
+
+/**
+ * Exports `object`. Returns { objectType, headers, count, outPath, watermark, bigquery }.
+ *
+ * Full (default): every record via getPage.
+ * incremental: only records modified after the stored watermark (or `since`), via search.
+ *
+ * Destination:
+ *   - outPath: CSV (the full export, or a delta file when incremental)
+ *   - snapshotPath (incremental): rows upserted by id into that existing export CSV
+ *   - bigquery { client, table, mode, location, stagingPath }: loaded into a BigQuery table
+ *     (bigquery_export.js); mode "replace" (default for full exports) or "merge" (default and
+ *     only choice for incremental ones)
+ *
+ * With watermarksPath, every run stores its watermark under (object type, exportName);
+ * exportName defaults to the output file name without .csv (or the BigQuery table name), so a
+ * full export to data/contacts_export.csv seeds `--incremental --snapshot` runs against the
+ * same file. Archived records are not in search results, so incremental runs never remove rows.
+ *
+ * Properties: `properties`, plus every property passing allProperties / group / origin /
+ * pattern (see resolveProperties). Long property lists are fetched in chunks and stitched
+ * into one row per record.
+ *
+ * columns (optional) renames property columns, e.g. { hs_lastmodifieddate: "lastmodifieddate" }
+ * to keep an existing file's header; mapRow (optional) adjusts each row before it is written.
+ */
+async function exportObjects({
+  hubspotClient,
+  object,
+  properties = [],
+  allProperties = false,
+  group = null,
+  origin = null,
+  pattern = null,
+  associations = [],
+  outPath = null,
+  columns = {},
+  mapRow = (row) => row,
+  incremental = false,
+  since = null,
+  snapshotPath = null,
+  watermarksPath = null,
+  exportName = null,
+  bigquery = null,
+}) {
+  if (bigquery && snapshotPath) throw new Error("Pass either a BigQuery table or a snapshot file, not both");
+  const bqMode = bigquery ? (bigquery.mode || (incremental ? "merge" : "replace")) : null;
+  if (incremental && bqMode === "replace") {
+    throw new Error("Incremental exports can only merge into BigQuery (replace would keep just the changed rows)");
+  }
+
+  const target = bigquery ? bigquery.table : (incremental && snapshotPath ? snapshotPath : outPath);
+  if (!target) throw new Error("outPath, snapshotPath or a BigQuery table is required");
+  const name = exportName || path.basename(target, ".csv");
+
+  const resolve = createObjectResolver(hubspotClient);
+  const obj = await resolve(object);
+  const assocs = [];
+  for (const a of associations) assocs.push(await resolve(a));
+
+  const definitions = await withRetry(() => loadPropertyDefinitions(hubspotClient, obj.objectType));
+  const props = resolveProperties(definitions, obj.objectType, { properties, allProperties, group, origin, pattern });
+  const [firstChunk, ...moreChunks] = chunkProperties(props);
+  const columnOf = (name) => columns[name] || name;
+  const headers = headersFor(props.map(columnOf), assocs);
+  const duplicate = headers.find((h, i) => headers.indexOf(h) !== i);
+  if (duplicate) throw new Error(`Column ${duplicate} appears twice in the ${object} export; check columns`);
+  const label = `${obj.name}${obj.objectType !== obj.name ? ` (${obj.objectType})` : ""}`;
+  const what = `${props.length} properties${moreChunks.length ? ` in ${moreChunks.length + 1} chunks` : ""}${assocs.length ? `, associations: ${assocs.map((a) => a.name).join(", ")}` : ""}`;
+
+  // every destination takes write(rows) per page and close() at the end
+  let sink;
+  if (bigquery) {
+    sink = openBigQuerySink({
+      bigquery: bigquery.client,
+      tableName: bigquery.table,
+      mode: bqMode,
+      schema: bigQuerySchema(
+        new Map(props.map((name) => [columnOf(name), definitions.get(name)])),
+        props.map(columnOf),
+        assocs.map(associationColumn)
+      ),
+      stagingPath: bigquery.stagingPath,
+      location: bigquery.location,
+    });
+  } else if (incremental && snapshotPath) {
+    const delta = [];
+    sink = {
+      async write(rows) {
+        delta.push(...rows);
+      },
+      async close() {
+        const s = await upsertSnapshot(snapshotPath, headers, delta);
+        console.log(`🔁 Snapshot ${snapshotPath}: ${s.updated} updated, ${s.inserted} inserted, ${s.total} rows`);
+      },
+    };
+  } else {
+    sink = openCsv(outPath, headers);
+  }
+
+  // upper bound of this run: records modified later are picked up by the next one
+  const until = Date.now() - INDEX_LAG_MS;
+  let count = 0;
+
+  if (!incremental) {
+    console.log(`🚀 Fetching ${label}: ${what}`);
+
+    let after;
+    do {
+      const res = await withRetry(() => hubspotClient.crm.objects.basicApi.getPage(
+        obj.objectType,
+        PAGE_LIMIT,
+        after,
+        firstChunk,
+        undefined,
+        assocs.length ? assocs.map((a) => a.objectType) : undefined
+      ));
+      const records = moreChunks.length ? await stitchProperties(hubspotClient, obj.objectType, res?.results || [], moreChunks) : (res?.results || []);
+      const rows = records.map((r) => mapRow(toRow(r, props, assocs, columns)));
+      await sink.write(rows);
+      count += rows.length;
+
+      after = res?.paging?.next?.after;
+      if (after) console.log(`...fetched ${count} so far`);
+    } while (after);
+
+    console.log(`✅ Finished fetching ${count} ${obj.name}`);
+  } else {
+    const stored = watermarksPath ? getWatermark(watermarksPath, obj.objectType, name) : null;
+    const from = since !== null && since !== undefined ? Date.parse(since) : (stored ?? 0);
+    if (Number.isNaN(from)) throw new Error(`Invalid since: ${since}`);
+    if (!stored && (since === null || since === undefined)) {
+      console.log(`⚠️ No watermark for ${obj.objectType}:${name}; exporting everything modified so far`);
+    }
+
+    console.log(`🚀 Fetching ${label} modified ${iso(from)} – ${iso(until)}: ${what}`);
+
+    let windows = 0;
+    if (from < until) {
+      windows = await searchModified(hubspotClient, obj.objectType, {
+        properties: firstChunk,
+        from,
+        to: until,
+        onPage: async (results) => {
+          if (moreChunks.length) await stitchProperties(hubspotClient, obj.objectType, results, moreChunks);
+          const records = assocs.length ? await attachAssociations(hubspotClient, obj.objectType, results, assocs) : results;
+          const rows = records.map((r) => mapRow(toRow(r, props, assocs, columns)));
+          await sink.write(rows);
+          count += rows.length;
+          if (rows.length) console.log(`...fetched ${count} so far`);
+        },
+      });
+    }
+
+    console.log(`✅ Finished fetching ${count} modified ${obj.name} (${windows} search window${windows === 1 ? "" : "s"})`);
+  }
+
+  const loaded = await sink.close();
+
+  if (watermarksPath) {
+    const mode = incremental ? (bigquery ? "bigquery-merge" : snapshotPath ? "snapshot" : "delta") : (bigquery ? `bigquery-${bqMode}` : "full");
+    setWatermark(watermarksPath, obj.objectType, name, until, { mode, rows: count });
+  }
+
+  return { objectType: obj.objectType, headers, count, outPath: target, watermark: iso(until), bigquery: bigquery ? loaded : null };
+}
+
+/** ---------- Association edges (v4) ---------- */
+const EDGE_HEADERS = ["from_object", "from_id", "to_object", "to_id", "category", "type_id", "label"];
+
+/**
+ * Writes one row per (from ID, to ID, association type) between two object types to outPath:
+ * every `fromObject` record is paged through and its associations read with the v4 batch API
+ * (records with more than one page of associations are read page by page). Unlabeled types
+ * have an empty label.
+ * Returns { fromObject, toObject, records, edges, pairs, unlabeledPairs, maxPerRecord, outPath }.
+ */
+async function exportAssociationEdges({ hubspotClient, fromObject, toObject, outPath }) {
+  const resolve = createObjectResolver(hubspotClient);
+  const from = await resolve(fromObject);
+  const to = await resolve(toObject);
+
+  const sink = openCsv(outPath, EDGE_HEADERS);
+  const stats = { records: 0, edges: 0, pairs: 0, unlabeledPairs: 0, maxPerRecord: 0 };
+  const edge = (id, toId, t) => ({
+    from_object: from.name,
+    from_id: id,
+    to_object: to.name,
+    to_id: toId,
+    category: t?.category || "",
+    type_id: t?.typeId ?? "",
+    label: t?.label || "",
+  });
+
+  console.log(`🚀 Fetching ${from.name} → ${to.name} associations`);
+
+  let after;
+  do {
+    const res = await withRetry(() => hubspotClient.crm.objects.basicApi.getPage(from.objectType, PAGE_LIMIT, after, ["hs_object_id"]));
+    const ids = (res?.results || []).map((r) => String(r.id));
+    const byId = ids.length ? await readAssociationsBatch(hubspotClient, from.objectType, ids, to.objectType) : new Map();
+
+    const rows = [];
+    for (const [id, targets] of byId) {
+      stats.maxPerRecord = Math.max(stats.maxPerRecord, targets.length);
+      for (const t of targets) {
+        stats.pairs += 1;
+        if (!t.types.some((x) => x.label)) stats.unlabeledPairs += 1;
+        if (!t.types.length) rows.push(edge(id, t.id, null));
+        for (const x of t.types) rows.push(edge(id, t.id, x));
+      }
+    }
+    await sink.write(rows);
+    stats.records += ids.length;
+    stats.edges += rows.length;
+
+    after = res?.paging?.next?.after;
+    if (after) console.log(`...${stats.records} ${from.name}, ${stats.edges} edges so far`);
+  } while (after);
+  await sink.close();
+
+  console.log(
+    `✅ ${stats.records} ${from.name}: ${stats.pairs} ${to.name} associations (${stats.edges} edges), ` +
+    `${stats.unlabeledPairs} without a label, at most ${stats.maxPerRecord} per record`
+  );
+  return { fromObject: from.objectType, toObject: to.objectType, ...stats, outPath };
+}
+
+/** ---------- CLI options (export-objects.js and the per-object scripts) ---------- */
+
+/**
+ * Property selection, destination and incremental options from argv:
+ *   --all-properties       every property of the object (after the listed ones)
+ *   --group=<name>         only properties of this group
+ *   --hubspot-defined | --custom   only HubSpot-defined / only custom properties
+ *   --pattern=<regex>      only properties whose name matches
+ *   --out=<file>           full export / delta file
+ *   --incremental          only records modified since the last run
+ *   --snapshot[=<file>]    with --incremental: upsert into this export CSV (default: the full export file)
+ *   --since=<date>         with --incremental: ignore the stored watermark
+ *   --bigquery=<table>     load into this BigQuery table (dataset.table or project.dataset.table) instead of CSV
+ *   --bq-mode=replace|merge  default: replace for full exports, merge for incremental ones
+ *   --export-name=<name>   watermark name (default: output file or table name)
+ *   --watermarks=<file>    watermark file (default data/export_watermarks.json)
+ * BigQuery uses BQ_PROJECT_ID and BQ_LOCATION (default US) from the environment.
+ */
+function exportArgs(argv, object, baseDir) {
+  const getArg = (name) => {
+    const arg = argv.find((a) => a.startsWith(`--${name}=`));
+    return arg ? arg.split("=").slice(1).join("=").trim() : null;
+  };
+  const dataDir = path.join(baseDir, "data");
+  const ts = new Date().toISOString().replace(/[:.]/g, "-");
+  const fullPath = getArg("out") || path.join(dataDir, `${object}_export.csv`);
+  const incremental = argv.includes("--incremental");
+  const snapshotPath = incremental && (argv.includes("--snapshot") || getArg("snapshot")) ? (getArg("snapshot") || fullPath) : null;
+  const table = getArg("bigquery");
+  if (argv.includes("--hubspot-defined") && argv.includes("--custom")) throw new Error("Pass --hubspot-defined or --custom, not both");
+
+  return {
+    allProperties: argv.includes("--all-properties"),
+    group: getArg("group"),
+    origin: argv.includes("--hubspot-defined") ? "hubspot" : (argv.includes("--custom") ? "custom" : null),
+    pattern: getArg("pattern"),
+    incremental,
+    snapshotPath,
+    since: getArg("since"),
+    outPath: incremental && !snapshotPath
+      ? (getArg("out") || path.join(dataDir, `${object}_delta_${ts}.csv`))
+      : fullPath,
+    exportName: getArg("export-name") || (incremental && !snapshotPath && !table ? `${object}_delta` : null),
+    watermarksPath: getArg("watermarks") || path.join(dataDir, "export_watermarks.json"),
+    bigquery: table
+      ? {
+        client: new BigQuery({ projectId: process.env.BQ_PROJECT_ID }),
+        table,
+        mode: getArg("bq-mode"),
+        location: process.env.BQ_LOCATION || "US",
+        stagingPath: path.join(dataDir, "bigquery", `${table.replace(/[^A-Za-z0-9_-]/g, "_")}_${ts}.ndjson`),
+      }
+      : null,
+  };
+}
+
+/** ---------- Run summary ---------- */
+/**
+ * Records an exportObjects or exportAssociationEdges result on a run summary (run_summary.js).
+ * Values BigQuery loaded as NULL count as record errors, so such a run exits 2.
+ */
+function recordExport(run, res) {
+  run.source("export", res.fromObject ? `HubSpot ${res.fromObject} → ${res.toObject} associations` : `HubSpot ${res.objectType}`);
+  for (const k of ["count", "records", "edges", "pairs", "unlabeledPairs"]) {
+    if (typeof res[k] === "number") run.count("export", k === "count" ? "rows" : k, res[k]);
+  }
+  for (const [column, n] of Object.entries(res.bigquery?.invalid || {})) {
+    run.error("export", `${column}: not valid for the column type, loaded as NULL`, n);
+  }
+  run.output("export", res.outPath);
+}
+
+module.exports = {
+  STANDARD_OBJECTS,
+  createObjectResolver,
+  resolveProperties,
+  headersFor,
+  toRow,
+  modifiedProperty,
+  exportObjects,
+  exportAssociationEdges,
+  exportArgs,
+  recordExport,
+};
@@ -0,0 +1,121 @@
+// hubspot_retry.js
+// Retry with exponential backoff for HubSpot API calls.
+//
+// Transient (retried):   429, 5xx, network errors, RATE_LIMITS category
+// Permanent (not retried): everything else (400 VALIDATION_ERROR, 404, 409, ...)
+//
+// Waits honour HubSpot's headers: Retry-After (seconds) first, then the
+// X-HubSpot-RateLimit-* headers when the remaining budget is exhausted.
+
+function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
+/** ---------- Error accessors (api-client v13 ApiException + legacy response shape) ---------- */
+function errorStatus(e) {
+  const code = e?.code ?? e?.response?.statusCode ?? e?.response?.status;
+  const n = Number(code);
+  return Number.isInteger(n) && n >= 100 ? n : null;
+}
+
+function errorBody(e) {
+  return e?.body ?? e?.response?.body ?? null;
+}
+
+function errorHeaders(e) {
+  return e?.headers ?? e?.response?.headers ?? {};
+}
+
+function errorText(e) {
+  const body = errorBody(e);
+  return body ? JSON.stringify(body) : (e?.message || String(e));
+}
+
+function header(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/** ---------- Classification ---------- */
+const TRANSIENT_NETWORK_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN", "EPIPE", "ENOTFOUND"];
+
+function isTransientError(e) {
+  const status = errorStatus(e);
+  if (status === 429 || (status !== null && status >= 500)) return true;
+  if (errorBody(e)?.category === "RATE_LIMITS") return true;
+  if (status === null) {
+    const code = e?.code || e?.cause?.code;
+    return TRANSIENT_NETWORK_CODES.includes(code) || e?.name === "FetchError" || e?.type === "system";
+  }
+  return false;
+}
+
+// Per-record errors inside a 207 batch response carry a category, not an HTTP status.
+function isTransientCategory(category) {
+  return category === "RATE_LIMITS";
+}
+
+/**
+ * How long to wait before the next attempt (ms).
+ * Retry-After wins; otherwise the rate-limit window when it is exhausted; otherwise
+ * exponential backoff with jitter.
+ */
+function retryDelayMs(e, attempt, { baseDelayMs, maxDelayMs }) {
+  const headers = errorHeaders(e);
+
+  const retryAfter = header(headers, "retry-after");
+  if (retryAfter !== undefined) {
+    const secs = Number(retryAfter);
+    if (Number.isFinite(secs)) return Math.min(maxDelayMs, secs * 1000);
+    const at = Date.parse(retryAfter);
+    if (Number.isFinite(at)) return Math.min(maxDelayMs, Math.max(0, at - Date.now()));
+  }
+
+  const secondly = header(headers, "x-hubspot-ratelimit-secondly-remaining");
+  if (secondly !== undefined && Number(secondly) <= 0) return 1000;
+
+  const remaining = header(headers, "x-hubspot-ratelimit-remaining");
+  const interval = header(headers, "x-hubspot-ratelimit-interval-milliseconds");
+  if (remaining !== undefined && Number(remaining) <= 0 && interval !== undefined) {
+    return Math.min(maxDelayMs, Number(interval));
+  }
+
+  const backoff = baseDelayMs * 2 ** attempt;
+  return Math.min(maxDelayMs, backoff + Math.floor(Math.random() * baseDelayMs));
+}
+
+const DEFAULT_RETRY = { maxRetries: 5, baseDelayMs: 1000, maxDelayMs: 60000 };
+
+/**
+ * Runs fn() and retries transient failures. After the last attempt the error is
+ * re-thrown with `transient` set so callers can queue it instead of giving up.
+ */
+async function withRetry(fn, opts = {}) {
+  const { maxRetries, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY, ...opts };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      const transient = isTransientError(e);
+      if (!transient || attempt >= maxRetries) {
+        if (e && typeof e === "object") e.transient = transient;
+        throw e;
+      }
+
+      const wait = retryDelayMs(e, attempt, { baseDelayMs, maxDelayMs });
+      console.log(`⏳ ${errorStatus(e) || "network"} error, retry ${attempt + 1}/${maxRetries} in ${wait}ms`);
+      await sleep(wait);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  sleep,
+  errorStatus,
+  errorBody,
+  errorText,
+  isTransientError,
+  isTransientCategory,
+  withRetry,
+};
@@ -0,0 +1,138 @@
+// hubspot_schema.js
+// Schema preflight for the BigQuery → HubSpot sync: checks the property mapping and a
+// sample of (transformed) values against the target object's property definitions
+// before anything is written.
+//
+// Definitions come from crm.properties.coreApi.getAll, same as export-properties.js.
+
+async function loadPropertyDefinitions(hubspotClient, object) {
+  const res = await hubspotClient.crm.properties.coreApi.getAll(object, false);
+  const results = Array.isArray(res) ? res : (res?.results || res?.body?.results || []);
+  return new Map(results.map((p) => [p.name, p]));
+}
+
+function isReadOnly(def) {
+  return def.modificationMetadata?.readOnlyValue === true || def.readOnlyValue === true;
+}
+
+function isWritable(def) {
+  return !def.calculated && !isReadOnly(def);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// BigQuery values as the sync sends them: DATE/DATETIME/TIMESTAMP wrappers by their `.value`,
+// NUMERIC/BIGNUMERIC (Big) and JS Dates as strings
+function plainValue(v) {
+  if (v instanceof Date) return v.toISOString();
+  if (v && typeof v === "object" && "value" in v) return v.value;
+  if (v && typeof v === "object" && v.constructor?.name === "Big") return v.toString();
+  return v;
+}
+
+// Returns null when `value` is acceptable for `def`, otherwise a short reason.
+function valueProblem(def, raw) {
+  const value = plainValue(raw);
+  if (value !== null && typeof value === "object") {
+    return "is an array or struct (add a transform)";
+  }
+
+  const s = String(value).trim();
+  if (s === "") return null;
+
+  switch (def.type) {
+    case "number":
+      return Number.isFinite(Number(s)) ? null : "not a number";
+    case "date":
+      if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+      if (/^\d+$/.test(s)) return Number(s) % DAY_MS === 0 ? null : "epoch ms is not midnight UTC";
+      return "not a date (use the date transform)";
+    case "datetime":
+      return /^\d+$/.test(s) || !Number.isNaN(Date.parse(s)) ? null : "not a datetime";
+    case "bool":
+      return ["true", "false"].includes(s) ? null : "not true/false (use the boolean transform)";
+    case "enumeration": {
+      if (def.externalOptions) return null; // owners etc. are validated by HubSpot
+      const allowed = new Set((def.options || []).map((o) => String(o.value)));
+      const values = def.fieldType === "checkbox" ? s.split(";").map((x) => x.trim()).filter(Boolean) : [s];
+      const bad = values.filter((v) => !allowed.has(v));
+      return bad.length ? "not an option value" : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks the mapping and sampled values. Returns a list of issues:
+ *   { property, problem, column?, examples?, count? }
+ *
+ * mapping:       { hsProp: { column } }
+ * sampleRows:    raw BigQuery rows (to see which columns exist)
+ * sampleProps:   transformed { hsProp: value } objects for the same rows
+ * uniqueProperty (optional): must exist and have hasUniqueValue
+ */
+function checkSchema({ definitions, mapping, sampleRows, sampleProps, uniqueProperty = null }) {
+  const issues = [];
+
+  for (const [hsProp, m] of Object.entries(mapping)) {
+    const def = definitions.get(hsProp);
+    if (!def) {
+      issues.push({ property: hsProp, problem: "property does not exist" });
+      continue;
+    }
+    if (def.calculated) issues.push({ property: hsProp, problem: `calculated property (${def.fieldType || def.type})` });
+    else if (isReadOnly(def)) issues.push({ property: hsProp, problem: "read-only property" });
+
+    if (sampleRows.length && !sampleRows.some((r) => r && Object.prototype.hasOwnProperty.call(r, m.column))) {
+      issues.push({ property: hsProp, column: m.column, problem: `column ${m.column} is not in the query result` });
+    }
+
+    const bad = new Map();
+    for (const props of sampleProps) {
+      if (!(hsProp in props)) continue;
+      const problem = valueProblem(def, props[hsProp]);
+      if (!problem) continue;
+      if (!bad.has(problem)) bad.set(problem, { count: 0, examples: new Set() });
+      const b = bad.get(problem);
+      b.count += 1;
+      const v = props[hsProp];
+      if (b.examples.size < 5) b.examples.add(typeof v === "object" ? JSON.stringify(v) : String(v));
+    }
+    for (const [problem, b] of bad) {
+      issues.push({
+        property: hsProp,
+        problem: `${def.type} value ${problem}`,
+        count: b.count,
+        examples: Array.from(b.examples),
+      });
+    }
+  }
+
+  if (uniqueProperty) {
+    const def = definitions.get(uniqueProperty);
+    if (!def) issues.push({ property: uniqueProperty, problem: "uniqueProperty does not exist" });
+    else if (!def.hasUniqueValue) issues.push({ property: uniqueProperty, problem: "uniqueProperty is not a unique-value property" });
+  }
+
+  return issues;
+}
+
+function formatSchemaReport(object, issues, sampled) {
+  const lines = [`Schema preflight failed for ${object} (${issues.length} issue(s), ${sampled} rows sampled):`];
+  for (const i of issues) {
+    let line = `  - ${i.property}: ${i.problem}`;
+    if (i.count) line += ` (${i.count} sampled rows)`;
+    if (i.examples?.length) line += ` e.g. ${i.examples.map((e) => JSON.stringify(e)).join(", ")}`;
+    lines.push(line);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  loadPropertyDefinitions,
+  isWritable,
+  plainValue,
+  checkSchema,
+  formatSchemaReport,
+};
@@ -0,0 +1,210 @@
+// hubspot_snapshot.js
+// Point-in-time snapshots of HubSpot records (every property + associations), taken before
+// destructive actions: merges (merge_audit.js) and archives (hubspot-import-cli.js delete).
+//
+// Delete snapshots go to a local NDJSON file, one record per line:
+//   { snapshot_id, object, id, email, taken_at, properties, associations }
+// and optionally to a BigQuery table (properties/associations as JSON strings). The NDJSON file
+// is what `hubspot-import-cli.js restore` reads (see snapshot_restore.js).
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const { withRetry } = require(path.join(__dirname, "hubspot_retry.js"));
+const { loadPropertyDefinitions } = require(path.join(__dirname, "hubspot_schema.js"));
+const { READ_LIMIT } = require(path.join(__dirname, "sync_util.js"));
+
+// Association types captured per object when none are given; custom objects use the
+// association definitions of their schema (schemaAssociationTypes)
+const DEFAULT_ASSOCIATIONS = {
+  contacts: ["companies", "deals", "tickets"],
+  companies: ["contacts", "deals", "tickets"],
+  deals: ["contacts", "companies", "tickets"],
+  tickets: ["contacts", "companies", "deals"],
+};
+
+const SNAPSHOT_SCHEMA = [
+  { name: "snapshot_id", type: "STRING", mode: "REQUIRED" },
+  { name: "object", type: "STRING", mode: "REQUIRED" },
+  { name: "record_id", type: "STRING", mode: "REQUIRED" },
+  { name: "email", type: "STRING", mode: "NULLABLE" },
+  { name: "taken_at", type: "TIMESTAMP", mode: "REQUIRED" },
+  { name: "properties", type: "STRING", mode: "NULLABLE" },
+  { name: "associations", type: "STRING", mode: "NULLABLE" },
+];
+
+/** ---------- Capture ---------- */
+const toAssoc = (r) => ({
+  id: String(r.toObjectId),
+  types: (r.associationTypes || []).map((t) => ({ category: t.category, typeId: t.typeId, label: t.label || null })),
+});
+
+async function readAssociations(hsClient, object, id, toType) {
+  const out = [];
+  let after;
+  do {
+    const res = await withRetry(() => hsClient.crm.associations.v4.basicApi.getPage(object, id, toType, after, 500));
+    out.push(...(res?.results || []).map(toAssoc));
+    after = res?.paging?.next?.after;
+  } while (after);
+  return out;
+}
+
+// Batch read per association type; records with more than one page fall back to readAssociations
+async function readAssociationsBatch(hsClient, object, ids, toType) {
+  const out = new Map(ids.map((id) => [id, []]));
+  const res = await withRetry(() => hsClient.crm.associations.v4.batchApi.getPage(object, toType, {
+    inputs: ids.map((id) => ({ id })),
+  }));
+
+  for (const r of res?.results || []) {
+    const id = String(r?._from?.id);
+    out.set(id, r?.paging?.next ? await readAssociations(hsClient, object, id, toType) : (r.to || []).map(toAssoc));
+  }
+  return out;
+}
+
+// Object types a custom object's schema defines associations with ("0-1", "2-12345", ...);
+// [] for objects without a schema
+async function schemaAssociationTypes(hsClient, object) {
+  const res = await withRetry(() => hsClient.crm.schemas.coreApi.getAll());
+  const key = String(object).toLowerCase();
+  const schema = (res?.results || []).find((s) => [s.objectTypeId, s.fullyQualifiedName, s.name]
+    .some((x) => x && String(x).toLowerCase() === key));
+  if (!schema) return [];
+
+  const types = (schema.associations || []).map((a) =>
+    (a.fromObjectTypeId === schema.objectTypeId ? a.toObjectTypeId : a.fromObjectTypeId));
+  return Array.from(new Set(types.filter(Boolean)));
+}
+
+/**
+ * Returns a snapshotter bound to one object type. snapshot(ids) → Map<id, { properties, associations }>
+ * with every property (names loaded once) and the associations to `associationTypes`.
+ * IDs HubSpot does not return are left out of the map.
+ */
+function makeSnapshotter(hsClient, object, associationTypes = DEFAULT_ASSOCIATIONS[object] || null) {
+  let propNames = null;
+
+  return async function snapshot(ids) {
+    if (!propNames) propNames = Array.from((await withRetry(() => loadPropertyDefinitions(hsClient, object))).keys());
+    if (!associationTypes) associationTypes = await schemaAssociationTypes(hsClient, object);
+
+    const out = new Map();
+    for (let i = 0; i < ids.length; i += READ_LIMIT) {
+      const slice = ids.slice(i, i + READ_LIMIT);
+      const res = await withRetry(() => hsClient.crm.objects.batchApi.read(object, {
+        inputs: slice.map((id) => ({ id })),
+        properties: propNames,
+      }));
+      const found = (res?.results || []).map((r) => String(r.id));
+
+      const byType = {};
+      for (const toType of associationTypes) {
+        byType[toType] = found.length ? await readAssociationsBatch(hsClient, object, found, toType) : new Map();
+      }
+
+      for (const r of res?.results || []) {
+        const id = String(r.id);
+        const associations = Object.fromEntries(associationTypes.map((t) => [t, byType[t].get(id) || []]));
+        out.set(id, { properties: r.properties || {}, associations });
+      }
+    }
+    return out;
+  };
+}
+
+/** ---------- BigQuery ---------- */
+// "project.dataset.table" or "dataset.table"
+function bigQueryTable(bigquery, name) {
+  const parts = name.split(".");
+  if (parts.length === 3) return bigquery.dataset(parts[1], { projectId: parts[0] }).table(parts[2]);
+  if (parts.length === 2) return bigquery.dataset(parts[0]).table(parts[1]);
+  throw new Error(`Invalid BigQuery table name: ${name} (expected dataset.table or project.dataset.table)`);
+}
+
+async function ensureTable(bigquery, name, schema, location) {
+  const table = bigQueryTable(bigquery, name);
+  const [datasetExists] = await table.dataset.exists();
+  if (!datasetExists) await table.dataset.create({ location });
+
+  const [tableExists] = await table.exists();
+  if (!tableExists) {
+    await table.create({ schema });
+    console.log(`✅ Created table: ${name}`);
+  }
+  return table;
+}
+
+/** ---------- Delete snapshots (NDJSON + BigQuery) ---------- */
+/**
+ * Snapshots `ids` and writes them. Unlike the merge audit, a failed BigQuery insert throws:
+ * callers must not archive records whose snapshot was not stored.
+ * Returns { path, snapshotted: Set<id> }.
+ */
+async function writeSnapshots({ hsClient, object, ids, ndjsonPath, bigquery = null, tableName = null, location = "US", snapshotId }) {
+  const snapshot = makeSnapshotter(hsClient, object);
+  const table = bigquery && tableName ? await ensureTable(bigquery, tableName, SNAPSHOT_SCHEMA, location) : null;
+
+  fs.mkdirSync(path.dirname(ndjsonPath), { recursive: true });
+  const fd = fs.openSync(ndjsonPath, "a");
+  const snapshotted = new Set();
+
+  try {
+    for (let i = 0; i < ids.length; i += READ_LIMIT) {
+      const snaps = await snapshot(ids.slice(i, i + READ_LIMIT));
+      const takenAt = new Date().toISOString();
+      const rows = Array.from(snaps, ([id, snap]) => ({
+        snapshot_id: snapshotId,
+        object,
+        id,
+        email: snap.properties.email || null,
+        taken_at: takenAt,
+        ...snap,
+      }));
+
+      if (table && rows.length) {
+        await table.insert(rows.map((r) => ({
+          snapshot_id: r.snapshot_id,
+          object: r.object,
+          record_id: r.id,
+          email: r.email,
+          taken_at: r.taken_at,
+          properties: JSON.stringify(r.properties),
+          associations: JSON.stringify(r.associations),
+        })));
+      }
+      for (const r of rows) {
+        fs.writeSync(fd, `${JSON.stringify(r)}\n`);
+        snapshotted.add(r.id);
+      }
+      console.log(`📸 snapshotted ${snapshotted.size}/${ids.length}`);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return { path: ndjsonPath, snapshotted };
+}
+
+/** Reads an NDJSON snapshot file into an array of records. */
+async function readSnapshotFile(filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`Snapshot file not found: ${filePath}`);
+  const out = [];
+  const rl = readline.createInterface({ input: fs.createReadStream(filePath, "utf8"), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (line.trim()) out.push(JSON.parse(line));
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_ASSOCIATIONS,
+  readAssociationsBatch,
+  makeSnapshotter,
+  bigQueryTable,
+  ensureTable,
+  writeSnapshots,
+  readSnapshotFile,
+};
@@ -1,30 +1,21 @@
 // hubspot_update.js
 const fs = require("fs");
 const path = require("path");
+const csv = require("csv-parser");
 
-/** ---------- CSV helpers ---------- */
-function csvEscape(v) {
-  if (v === null || v === undefined) return "";
-  const s = String(v);
-  if (/[",\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-  return s;
-}
+const { DEFAULT_RETRY, sleep, withRetry, errorText, isTransientCategory } = require(path.join(__dirname, "hubspot_retry.js"));
+const { jobIdentity, openCheckpoint } = require(path.join(__dirname, "sync_checkpoint.js"));
+const { registerTransform, normalizeMapping, applyTransforms } = require(path.join(__dirname, "sync_transforms.js"));
+const { loadPropertyDefinitions, plainValue, checkSchema, formatSchemaReport } = require(path.join(__dirname, "hubspot_schema.js"));
+const { checkCsvHeader, writeCsvAppend } = require(path.join(__dirname, "sync_util.js"));
 
+/** ---------- CSV helpers ---------- */
 function ensureDirForFile(filePath) {
   const dir = path.dirname(filePath);
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
-function writeCsvAppend(filePath, rows, headers) {
-  ensureDirForFile(filePath);
-  const exists = fs.existsSync(filePath);
-  const lines = [];
-
-  if (!exists) lines.push(headers.map(csvEscape).join(","));
-  for (const r of rows) lines.push(headers.map((h) => csvEscape(r[h])).join(","));
-
-  fs.appendFileSync(filePath, lines.join("\n") + "\n", "utf8");
-}
+const CSV_HEADERS = ["matchVal", "hubspot_id", "status", "properties_json", "before_json", "after_json", "error"];
 
 /** ---------- Concurrency helper ---------- */
 async function runWithConcurrency(items, concurrency, workerFn) {
@@ -39,33 +30,38 @@ async function runWithConcurrency(items, concurrency, workerFn) {
   await Promise.all(workers);
 }
 
-/** ---------- Checkpoint (skip already processed IDs) ---------- */
-function loadCheckpoint(checkpointPath) {
-  try {
-    if (!checkpointPath) return new Set();
-    if (!fs.existsSync(checkpointPath)) return new Set();
-    const raw = fs.readFileSync(checkpointPath, "utf8");
-    const arr = JSON.parse(raw);
-    if (!Array.isArray(arr)) return new Set();
-    return new Set(arr.map(String));
-  } catch {
-    return new Set();
+/** ---------- Retry queue (records that still failed after retries) ---------- */
+// JSONL, one { matchVal, id, properties, error, attempts, lastAttemptAt } per line.
+function loadRetryQueue(queuePath) {
+  const queue = new Map();
+  if (!queuePath || !fs.existsSync(queuePath)) return queue;
+  for (const line of fs.readFileSync(queuePath, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+    queue.set(String(entry.matchVal), entry);
   }
+  return queue;
 }
 
-function saveCheckpoint(checkpointPath, set) {
-  if (!checkpointPath) return;
-  ensureDirForFile(checkpointPath);
-  const arr = Array.from(set.values());
-  fs.writeFileSync(checkpointPath, JSON.stringify(arr, null, 2), "utf8");
+function saveRetryQueue(queuePath, queue) {
+  if (!queuePath) return;
+  ensureDirForFile(queuePath);
+  const tmp = `${queuePath}.tmp`;
+  const lines = Array.from(queue.values()).map((e) => JSON.stringify(e));
+  fs.writeFileSync(tmp, lines.length ? lines.join("\n") + "\n" : "", "utf8");
+  fs.renameSync(tmp, queuePath);
 }
 
 /** ---------- BigQuery pagination (stream-like) ---------- */
-async function fetchBigQueryPage(job, pageToken, pageSize) {
-  const opts = { maxResults: pageSize };
+// `remaining` (optional) caps the rows returned; once reached there is no next page.
+async function fetchBigQueryPage(job, pageToken, pageSize, remaining = null) {
+  const opts = { maxResults: remaining === null ? pageSize : Math.min(pageSize, remaining) };
   if (pageToken) opts.pageToken = pageToken;
 
   const [rows, , resp] = await job.getQueryResults(opts);
+  if (remaining !== null && rows.length >= remaining) {
+    return { rows: rows.slice(0, remaining), nextPageToken: null };
+  }
   return { rows, nextPageToken: resp?.pageToken || null };
 }
 
@@ -78,9 +74,302 @@ async function updateSingleByObjectType(hubspotClient, object, id, properties) {
   return hubspotClient.crm.objects.basicApi.update(object, id, { properties });
 }
 
+/** ---------- HubSpot batch update (up to 100 inputs per call) ---------- */
+const HUBSPOT_BATCH_LIMIT = 100;
+
+async function updateBatchByObjectType(hubspotClient, object, inputs) {
+  const payload = { inputs };
+  if (object === "contacts") return hubspotClient.crm.contacts.batchApi.update(payload);
+  if (object === "companies") return hubspotClient.crm.companies.batchApi.update(payload);
+  if (object === "deals") return hubspotClient.crm.deals.batchApi.update(payload);
+  if (object === "tickets") return hubspotClient.crm.tickets.batchApi.update(payload);
+  return hubspotClient.crm.objects.batchApi.update(object, payload);
+}
+
+/** ---------- HubSpot batch read (by record ID or by an idProperty) ---------- */
+async function readBatchByObjectType(hubspotClient, object, payload, archived = false) {
+  if (object === "contacts") return hubspotClient.crm.contacts.batchApi.read(payload, archived);
+  if (object === "companies") return hubspotClient.crm.companies.batchApi.read(payload, archived);
+  if (object === "deals") return hubspotClient.crm.deals.batchApi.read(payload, archived);
+  if (object === "tickets") return hubspotClient.crm.tickets.batchApi.read(payload, archived);
+  return hubspotClient.crm.objects.batchApi.read(object, payload, archived);
+}
+
+/**
+ * Resolves match values (email or a unique-value property) to HubSpot record IDs.
+ * Reads in batches of 100 using idProperty; values HubSpot does not know are simply absent.
+ * Returns Map<matchVal, hubspotId>.
+ */
+async function resolveMatchIds(hubspotClient, object, idProperty, values, retry = DEFAULT_RETRY) {
+  const resolved = new Map();
+  const normalize = (v) => (idProperty === "email" ? String(v).toLowerCase() : String(v));
+
+  for (let i = 0; i < values.length; i += HUBSPOT_BATCH_LIMIT) {
+    const slice = values.slice(i, i + HUBSPOT_BATCH_LIMIT);
+    const res = await withRetry(() => readBatchByObjectType(hubspotClient, object, {
+      idProperty,
+      inputs: slice.map((v) => ({ id: v })),
+      // secondary emails also resolve, but the result only echoes the primary one
+      properties: idProperty === "email" ? ["email", "hs_additional_emails"] : [idProperty],
+    }), retry);
+
+    const byValue = new Map();
+    for (const r of res?.results || []) {
+      const v = r?.properties?.[idProperty];
+      if (v !== undefined && v !== null) byValue.set(normalize(v), String(r.id));
+      if (idProperty === "email") {
+        for (const extra of String(r?.properties?.hs_additional_emails || "").split(";")) {
+          if (extra.trim()) byValue.set(normalize(extra.trim()), String(r.id));
+        }
+      }
+    }
+    for (const v of slice) {
+      const id = byValue.get(normalize(v));
+      if (id) resolved.set(v, id);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Preflight for matchKeyType='id': batch-reads every ID and classifies the ones that are not live.
+ *  - MERGED:   HubSpot answered with a different record whose hs_merged_object_ids contains the ID
+ *  - ARCHIVED: only found when reading with archived=true
+ *  - MISSING:  not found at all
+ * Returns Map<id, { reason, merged_into }>.
+ */
+async function findInvalidIds(hubspotClient, object, ids, retry = DEFAULT_RETRY) {
+  const invalid = new Map();
+
+  for (let i = 0; i < ids.length; i += HUBSPOT_BATCH_LIMIT) {
+    const slice = ids.slice(i, i + HUBSPOT_BATCH_LIMIT);
+    const requested = new Set(slice);
+
+    const res = await withRetry(() => readBatchByObjectType(hubspotClient, object, {
+      inputs: slice.map((id) => ({ id })),
+      properties: ["hs_merged_object_ids"],
+    }), retry);
+
+    const live = new Set();
+    for (const r of res?.results || []) {
+      const id = String(r?.id ?? "");
+      if (requested.has(id)) live.add(id);
+      // a requested ID can be both live itself and the survivor of another requested ID
+      for (const oldId of String(r?.properties?.hs_merged_object_ids || "").split(";")) {
+        if (requested.has(oldId.trim())) invalid.set(oldId.trim(), { reason: "MERGED", merged_into: id });
+      }
+    }
+
+    const notFound = slice.filter((id) => !live.has(id) && !invalid.has(id));
+    if (notFound.length === 0) continue;
+
+    const archivedRes = await withRetry(() => readBatchByObjectType(
+      hubspotClient,
+      object,
+      { inputs: notFound.map((id) => ({ id })), properties: [] },
+      true
+    ), retry);
+    const archived = new Set((archivedRes?.results || []).map((r) => String(r?.id ?? "")));
+
+    for (const id of notFound) {
+      invalid.set(id, { reason: archived.has(id) ? "ARCHIVED" : "MISSING", merged_into: "" });
+    }
+  }
+
+  return invalid;
+}
+
+/** ---------- Diff helpers (skipUnchanged) ---------- */
+// BigQuery DATE/TIMESTAMP/NUMERIC come back as wrapper objects with a `.value`
+function toComparable(v) {
+  if (v === undefined || v === null) return "";
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === "object" && "value" in v) return String(v.value ?? "");
+  return String(v);
+}
+
+function sameValue(current, next) {
+  const a = toComparable(current).trim();
+  const b = toComparable(next).trim();
+  if (a === b) return true;
+  if (a !== "" && b !== "" && Number.isFinite(Number(a)) && Number.isFinite(Number(b))) {
+    return Number(a) === Number(b);
+  }
+  return false;
+}
+
+// Looser than sameValue for verifying what HubSpot stored: date/datetime properties can come back
+// as ISO strings for the epoch ms we sent, and multi-checkbox values in a different order.
+function storedValueMatches(stored, sent) {
+  if (sameValue(stored, sent)) return true;
+  const a = toComparable(stored).trim();
+  const b = toComparable(sent).trim();
+  if (/^\d+$/.test(b) && /^\d{4}-\d{2}-\d{2}/.test(a)) return Date.parse(a) === Number(b);
+  if (a.includes(";") || b.includes(";")) {
+    const set = (x) => x.split(";").map((v) => v.trim()).filter(Boolean).sort().join(";");
+    return set(a) === set(b);
+  }
+  return false;
+}
+
+// Returns Map<hubspotId, properties> with the current values of `propNames`.
+async function readCurrentValues(hubspotClient, object, ids, propNames, concurrency, retry = DEFAULT_RETRY) {
+  const current = new Map();
+  const slices = [];
+  for (let i = 0; i < ids.length; i += HUBSPOT_BATCH_LIMIT) slices.push(ids.slice(i, i + HUBSPOT_BATCH_LIMIT));
+
+  await runWithConcurrency(slices, concurrency, async (slice) => {
+    const res = await withRetry(() => readBatchByObjectType(hubspotClient, object, {
+      inputs: slice.map((id) => ({ id })),
+      properties: propNames,
+    }), retry);
+    for (const r of res?.results || []) current.set(String(r.id), r.properties || {});
+  });
+
+  return current;
+}
+
+/**
+ * Sends one batch and maps the response back to each input.
+ * A 207 response carries per-record errors with the offending IDs in `context.ids`;
+ * a thrown error (after retries) fails every record in the batch.
+ * Returns Map<id, { text, transient }|null> (null = updated).
+ */
+async function updateBatchPerRecord(hubspotClient, object, batch, retry) {
+  const outcome = new Map();
+
+  let res;
+  try {
+    res = await withRetry(() => updateBatchByObjectType(
+      hubspotClient,
+      object,
+      batch.map((w) => ({ id: w.id, properties: w.properties }))
+    ), retry);
+  } catch (e) {
+    const failure = { text: errorText(e), transient: Boolean(e?.transient) };
+    for (const w of batch) outcome.set(w.id, failure);
+    return outcome;
+  }
+
+  for (const err of res?.errors || []) {
+    const ids = err?.context?.ids || [];
+    const failure = { text: JSON.stringify(err), transient: isTransientCategory(err?.category) };
+    for (const id of ids) outcome.set(String(id), failure);
+  }
+  for (const r of res?.results || []) {
+    const id = String(r?.id ?? "");
+    if (id && !outcome.has(id)) outcome.set(id, null);
+  }
+  for (const w of batch) {
+    if (!outcome.has(w.id)) {
+      outcome.set(w.id, { text: "No result returned for this record in the batch response", transient: false });
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Sends one wave of { id, properties } updates, either one call per record or 100 per batch call.
+ * Transient failures are retried with backoff first (see hubspot_retry.js).
+ * onResult(w, { text, transient }|null) is called once per record.
+ */
+async function applyWave(hubspotClient, object, wave, { updateMode, updateConcurrency, retry = DEFAULT_RETRY }, onResult) {
+  if (updateMode === "batch") {
+    const batches = [];
+    for (let j = 0; j < wave.length; j += HUBSPOT_BATCH_LIMIT) {
+      batches.push(wave.slice(j, j + HUBSPOT_BATCH_LIMIT));
+    }
+
+    await runWithConcurrency(batches, updateConcurrency, async (batch) => {
+      const outcome = await updateBatchPerRecord(hubspotClient, object, batch, retry);
+      for (const w of batch) onResult(w, outcome.get(w.id));
+    });
+    return;
+  }
+
+  await runWithConcurrency(wave, updateConcurrency, async (w) => {
+    try {
+      await withRetry(() => updateSingleByObjectType(hubspotClient, object, w.id, w.properties), retry);
+      onResult(w, null);
+    } catch (e) {
+      onResult(w, { text: errorText(e), transient: Boolean(e?.transient) });
+    }
+  });
+}
+
+/** ---------- Staged rollout (apply runs) ---------- */
+const DEFAULT_ROLLOUT = {
+  stages: [10, 100, 1000], // rows per stage; after the last one each stage is 10x the previous
+  pauseMs: 30000,          // wait before re-reading a finished stage
+  verifySample: 200,       // records re-read per stage (all of them when fewer)
+  maxErrorRate: 0.02,      // ERROR + RETRY_QUEUED / attempted
+  maxMismatchRate: 0.01,   // verified records whose stored values differ from what was sent
+};
+
+// Every nth record so the sample covers the whole stage, not just its first wave.
+function spreadSample(items, n) {
+  if (items.length <= n) return items;
+  const step = items.length / n;
+  return Array.from({ length: n }, (_, i) => items[Math.floor(i * step)]);
+}
+
 /**
  * Sync HubSpot properties from BigQuery results, paginating through the whole table.
- * Also supports a checkpoint file so the same ID is never updated twice across reruns.
+ * Also keeps a checkpoint journal so the same ID is never updated twice across reruns.
+ *
+ * Checkpoints are scoped to a job: object + SQL hash + property mapping + match key + dry-run/apply
+ * (see sync_checkpoint.js). Each finished record is appended to <checkpointDir>/<jobId>.ids right
+ * away, so a crash mid-wave only redoes in-flight records and an unrelated sync never skips rows
+ * because of this one. `node checkpoints.js list|reset <jobId>` manages them.
+ *
+ * updateMode:
+ *  - "single": one basicApi.update per record (proven path)
+ *  - "batch":  batchApi.update with up to 100 records per call; results are still tracked per record
+ *
+ * property: { hsProp: "bq_column" } or { hsProp: { column, transforms: [...] } } — see
+ * sync_transforms.js for the built-in transforms and registerTransform(). A row whose transform
+ * throws is written as TRANSFORM_ERROR and left out of the checkpoint.
+ *
+ * schemaPreflight: before any write, the object's property definitions are loaded and every mapped
+ * property is checked for existence, writability and type compatibility, and the first
+ * `schemaSampleSize` transformed rows are checked against enumeration options. Any issue aborts the
+ * run with a readable report (error.schemaIssues holds the details).
+ *
+ * matchKeyType:
+ *  - "id":     matching_id column holds the HubSpot record ID
+ *  - "email":  matching_id column holds the contact email (contacts only)
+ *  - "unique": matching_id column holds the value of `uniqueProperty` (a HubSpot unique-value property)
+ * Email/unique values are resolved to record IDs with a batch read per wave; unresolved rows are
+ * written to the CSV as NO_MATCH and left out of the checkpoint so a later run can pick them up.
+ *
+ * validateMatches (matchKeyType='id' only; email/unique resolution already reads live records):
+ * before any write, every ID is batch-read and missing / archived / merged IDs are written to
+ * `missingIdsCsvPath` (default: <outputCsvPath>_missing_ids.csv) and skipped in the sync.
+ * `includeMissingIds` also returns them in the result. `limit` caps the BigQuery rows processed.
+ * Unknown options throw instead of being ignored.
+ *
+ * skipUnchanged: each wave's current values are read first; only properties whose value differs
+ * are sent, records with no differences are written as UNCHANGED, and before_json / after_json
+ * hold the prior and new values of the changed properties.
+ *
+ * captureBefore (apply runs): current values are read before writing so before_json is always
+ * filled; rollbackSyncFromCsv() uses it to put the old values back.
+ *
+ * Retries: 429/5xx/network errors are retried with exponential backoff, honouring Retry-After and
+ * the X-HubSpot-RateLimit-* headers. Records that still fail are written as RETRY_QUEUED, kept out
+ * of the checkpoint and persisted to `retryQueuePath` (JSONL); `retryFailed: true` replays that
+ * queue instead of querying BigQuery. Permanent errors (validation, 404, ...) are written as ERROR
+ * and checkpointed, since retrying them cannot succeed.
+ *
+ * rollout (apply runs): `true` or { stages, pauseMs, verifySample, maxErrorRate, maxMismatchRate }
+ * (defaults in DEFAULT_ROLLOUT). Rows are applied in stages of increasing size, starting with a
+ * small canary. After each stage the run pauses, re-reads a sample of the updated records and
+ * compares the stored values with what was sent, like proof_test.js does for one contact. If the
+ * stage's error rate or mismatch rate is over its threshold the run stops; the result has
+ * `rollout.stopped` with the reason and per-stage stats. Finished records are checkpointed as
+ * usual, so a rerun after fixing the cause starts a new canary on the remaining rows.
  */
 async function syncHubSpotPropertiesFromBigQuery({
   object,
@@ -98,42 +387,128 @@ async function syncHubSpotPropertiesFromBigQuery({
 
   // Update behavior
   updateBatchSize = 500,     // group size to process
-  updateConcurrency = 10,    // parallel updates inside each group
+  updateConcurrency = 10,    // parallel updates (or parallel batch calls) inside each group
+  updateMode = "single",     // "single" | "batch"
   dropBlanks = true,
+  skipUnchanged = false,     // read current values and only send properties that differ
+  captureBefore = true,      // apply runs: record prior values in before_json (needed for rollback)
 
-  // Idempotency / skip duplicates
-  checkpointPath = "./data/processed_contact_ids.json",
+  // Idempotency / skip duplicates (null = no checkpoint)
+  checkpointDir = "./data/checkpoints",
   skipAlreadyProcessed = true,
 
+  // Row cap (null = whole table)
+  limit = null,
+
+  // Schema preflight against HubSpot property definitions
+  schemaPreflight = true,
+  schemaSampleSize = 1000,
+
+  // Match validation preflight
+  validateMatches = false,
+  includeMissingIds = false,
+  missingIdsCsvPath = null,
+
+  // Retries + retry queue
+  maxRetries = DEFAULT_RETRY.maxRetries,
+  retryBaseDelayMs = DEFAULT_RETRY.baseDelayMs,
+  retryMaxDelayMs = DEFAULT_RETRY.maxDelayMs,
+  retryQueuePath = null,     // default: <checkpointDir>/<jobId>.retry.jsonl
+  retryFailed = false,       // replay the retry queue instead of querying BigQuery
+
+  // Staged canary rollout (apply runs; false = everything at once)
+  rollout = false,
+
   // Output
   outputCsvPath = null,
 
   hubspotClient,
   bigqueryClient,
+
+  ...unknownOptions
 }) {
+  const unknownKeys = Object.keys(unknownOptions);
+  if (unknownKeys.length) throw new Error(`Unknown option(s): ${unknownKeys.join(", ")}`);
+
+  // sql/property/matching_id are needed even for retryFailed: they make up the job identity
   if (!object) throw new Error("Missing required arg: object");
   if (!sql) throw new Error("Missing required arg: sql");
   if (!property) throw new Error("Missing required arg: property");
   if (!matching_id) throw new Error("Missing required arg: matching_id");
   if (!hubspotClient) throw new Error("Missing required arg: hubspotClient");
-  if (!bigqueryClient) throw new Error("Missing required arg: bigqueryClient");
-  if (matchKeyType !== "id") throw new Error("This version expects matchKeyType='id' for speed + batching.");
+  if (!bigqueryClient && !retryFailed) throw new Error("Missing required arg: bigqueryClient");
+  if (!["id", "email", "unique"].includes(matchKeyType)) {
+    throw new Error(`Invalid matchKeyType: ${matchKeyType} (expected "id", "email" or "unique")`);
+  }
+  if (matchKeyType === "email" && object !== "contacts") {
+    throw new Error("matchKeyType='email' is only supported for contacts (use 'unique' with a unique-value property)");
+  }
+  if (matchKeyType === "unique" && !uniqueProperty) {
+    throw new Error("Missing required arg: uniqueProperty (when matchKeyType='unique')");
+  }
+  if (!["single", "batch"].includes(updateMode)) {
+    throw new Error(`Invalid updateMode: ${updateMode} (expected "single" or "batch")`);
+  }
+  if (includeMissingIds && !validateMatches) {
+    throw new Error("includeMissingIds requires validateMatches: true");
+  }
+  if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+    throw new Error(`Invalid limit: ${limit} (expected a positive integer)`);
+  }
+
+  const rolloutCfg = rollout ? { ...DEFAULT_ROLLOUT, ...(rollout === true ? {} : rollout) } : null;
+  if (rolloutCfg) {
+    const badKeys = Object.keys(rolloutCfg).filter((k) => !(k in DEFAULT_ROLLOUT));
+    if (badKeys.length) throw new Error(`Unknown rollout option(s): ${badKeys.join(", ")}`);
+    const stages = rolloutCfg.stages;
+    if (!Array.isArray(stages) || !stages.length || stages.some((n, i) => !(Number.isInteger(n) && n > 0 && (i === 0 || n > stages[i - 1])))) {
+      throw new Error(`Invalid rollout.stages: ${JSON.stringify(stages)} (expected increasing positive integers)`);
+    }
+  }
+  if (rolloutCfg && !apply) {
+    console.log("ℹ️ rollout only applies to apply runs; dry run processes every row");
+  }
 
   const multiMap = typeof property === "object" && property !== null;
   if (!multiMap && !column_name) {
     throw new Error("Missing required arg: column_name (when property is a string)");
   }
+  const mapping = normalizeMapping(property, column_name);
 
   // SQL from file if needed
   const query = sql.trim().endsWith(".sql")
     ? fs.readFileSync(path.resolve(sql), "utf8")
     : sql;
 
-  // checkpoint set
-  const processed = loadCheckpoint(checkpointPath);
+  // HubSpot property used to resolve match values (null = matching_id already holds record IDs)
+  const idProperty = matchKeyType === "email" ? "email" : (matchKeyType === "unique" ? uniqueProperty : null);
+
+  // checkpoint journal for this job
+  const job = jobIdentity({
+    kind: "sync",
+    object,
+    sql: query,
+    mapping: multiMap ? property : { [property]: column_name },
+    matching_id,
+    matchKeyType,
+    uniqueProperty,
+    mode: apply ? "apply" : "dry_run",
+  });
+  // before anything is written: an output from an older version has fewer columns
+  if (outputCsvPath) checkCsvHeader(outputCsvPath, CSV_HEADERS);
+
+  const matchValueOf = (r) => {
+    const raw = r?.[matching_id];
+    const v = raw === undefined || raw === null ? "" : String(raw).trim();
+    return matchKeyType === "email" ? v.toLowerCase() : v;
+  };
 
+  const missingCsv = missingIdsCsvPath
+    || (outputCsvPath ? outputCsvPath.replace(/(\.csv)?$/i, "_missing_ids.csv") : null);
+
+  // BigQuery wrappers (DATE/TIMESTAMP { value }, NUMERIC Big) go out as their plain value
   const clean = (obj) => {
-    const entries = Object.entries(obj).filter(([, v]) => {
+    const entries = Object.entries(obj).map(([k, v]) => [k, plainValue(v)]).filter(([, v]) => {
       if (v === undefined || v === null) return false;
       if (!dropBlanks) return true;
       return String(v).trim() !== "";
@@ -141,149 +516,715 @@ async function syncHubSpotPropertiesFromBigQuery({
     return Object.fromEntries(entries);
   };
 
-  // Start BQ job
-  const [job] = await bigqueryClient.createQueryJob({ query });
+  const retry = { maxRetries, baseDelayMs: retryBaseDelayMs, maxDelayMs: retryMaxDelayMs };
+
+  // BigQuery row → cleaned HubSpot properties (throws on a failed transform)
+  const buildProps = (r) => {
+    const mapped = {};
+    for (const [hsProp, m] of Object.entries(mapping)) {
+      mapped[hsProp] = applyTransforms(hsProp, r?.[m.column], m.transforms, r);
+    }
+    return clean(mapped);
+  };
+
+  const runSchemaPreflight = async (sampleRows, sampleProps) => {
+    const definitions = await withRetry(() => loadPropertyDefinitions(hubspotClient, object), retry);
+    const issues = checkSchema({
+      definitions,
+      mapping,
+      sampleRows,
+      sampleProps,
+      uniqueProperty: matchKeyType === "unique" ? uniqueProperty : null,
+    });
+
+    if (issues.length) {
+      const err = new Error(formatSchemaReport(object, issues, sampleProps.length));
+      err.schemaIssues = issues;
+      throw err;
+    }
+    console.log(`✅ Schema preflight passed: ${Object.keys(mapping).length} properties, ${sampleProps.length} rows sampled`);
+  };
+
+  const retryPath = retryQueuePath
+    || (checkpointDir ? path.join(checkpointDir, `${job.jobId}.retry.jsonl`) : null)
+    || (outputCsvPath ? outputCsvPath.replace(/(\.csv)?$/i, "_retry_queue.jsonl") : "./data/sync_retry_queue.jsonl");
+  const retryQueue = loadRetryQueue(retryPath);
 
-  let pageToken = null;
   let totalFetched = 0;
   let totalAttempted = 0;
   let totalUpdated = 0;
   let totalSkipped = 0;
+  let totalNoMatch = 0;
+  let totalInvalid = 0;
+  let totalTransformErrors = 0;
+  let totalUnchanged = 0;
+  let totalRetryQueued = 0;
   const errors = [];
 
-  console.log("🚀 Starting BigQuery pagination...");
-  console.log("📌 checkpointPath:", checkpointPath);
-  console.log("📄 outputCsvPath:", outputCsvPath || "(none)");
+  // Resolve → diff → capture → dry-run/apply → flush CSV, checkpoint and retry queue for one wave
+  const processWave = async (initialWave) => {
+    let wave = initialWave;
+
+    // resolve email / unique values to HubSpot IDs (read-only, so dry runs do it too)
+    const unresolved = wave.filter((w) => !w.id);
+    if (idProperty && unresolved.length) {
+      const resolved = await resolveMatchIds(hubspotClient, object, idProperty, unresolved.map((w) => w.matchVal), retry);
+      const noMatchRows = [];
+
+      for (const w of unresolved) {
+        w.id = resolved.get(w.matchVal) || null;
+        if (w.id) continue;
+        totalNoMatch += 1;
+        noMatchRows.push({
+          matchVal: w.matchVal,
+          hubspot_id: "",
+          status: "NO_MATCH",
+          properties_json: JSON.stringify(w.properties),
+          error: `No ${object} record with ${idProperty}=${w.matchVal}`,
+        });
+      }
 
-  // Process pages
-  while (true) {
-    const { rows, nextPageToken } = await fetchBigQueryPage(job, pageToken, pageSize);
-    pageToken = nextPageToken;
-    totalFetched += rows.length;
+      if (outputCsvPath && noMatchRows.length) writeCsvAppend(outputCsvPath, noMatchRows, CSV_HEADERS);
+      wave = wave.filter((w) => w.id);
+      if (wave.length === 0) return;
+    }
 
-    if (rows.length === 0) break;
+    // diff against current HubSpot values (read-only, so dry runs do it too)
+    if (skipUnchanged) {
+      const propNames = Array.from(new Set(wave.flatMap((w) => Object.keys(w.properties))));
+      const current = await readCurrentValues(
+        hubspotClient, object, wave.map((w) => w.id), propNames, updateConcurrency, retry
+      );
+      const unchangedRows = [];
 
-    // Build updates for this page
-    const batchUpdates = [];
+      for (const w of wave) {
+        const existing = current.get(w.id);
+        if (!existing) continue; // unreadable: send as-is and let the update report the error
 
-    for (const r of rows) {
-      const idRaw = r?.[matching_id];
-      const id = idRaw === undefined || idRaw === null ? "" : String(idRaw).trim();
-      if (!id) continue;
+        const changed = {};
+        const before = {};
+        for (const [k, v] of Object.entries(w.properties)) {
+          if (sameValue(existing[k], v)) continue;
+          changed[k] = v;
+          before[k] = existing[k] ?? null;
+        }
 
-      // skip duplicates across whole run / reruns
-      if (skipAlreadyProcessed && processed.has(id)) {
-        totalSkipped += 1;
-        continue;
+        w.properties = changed;
+        w.before = before;
+        if (Object.keys(changed).length) continue;
+
+        totalUnchanged += 1;
+        processed.add(w.matchVal);
+        retryQueue.delete(w.matchVal);
+        unchangedRows.push({
+          matchVal: w.matchVal,
+          hubspot_id: w.id,
+          status: "UNCHANGED",
+          properties_json: "{}",
+          before_json: "",
+          after_json: "",
+          error: "",
+        });
+      }
+
+      if (outputCsvPath && unchangedRows.length) writeCsvAppend(outputCsvPath, unchangedRows, CSV_HEADERS);
+      wave = wave.filter((w) => Object.keys(w.properties).length);
+      if (wave.length === 0) {
+        if (apply) saveRetryQueue(retryPath, retryQueue);
+        return;
+      }
+    }
+
+    // apply runs: capture prior values so the run can be rolled back (diff mode already has them)
+    if (apply && captureBefore && !skipUnchanged) {
+      const propNames = Array.from(new Set(wave.flatMap((w) => Object.keys(w.properties))));
+      const current = await readCurrentValues(
+        hubspotClient, object, wave.map((w) => w.id), propNames, updateConcurrency, retry
+      );
+      for (const w of wave) {
+        const existing = current.get(w.id);
+        if (!existing) continue;
+        w.before = Object.fromEntries(Object.keys(w.properties).map((k) => [k, existing[k] ?? null]));
+      }
+    }
+
+    const beforeJson = (w) => (w.before ? JSON.stringify(w.before) : "");
+    const afterJson = (w) => (w.before ? JSON.stringify(w.properties) : "");
+
+    // dry run just logs
+    if (!apply) {
+      totalAttempted += wave.length;
+      for (const w of wave) {
+        if (outputCsvPath) {
+          writeCsvAppend(
+            outputCsvPath,
+            [{
+              matchVal: w.matchVal,
+              hubspot_id: w.id,
+              status: "DRY_RUN",
+              properties_json: JSON.stringify(w.properties),
+              before_json: beforeJson(w),
+              after_json: afterJson(w),
+              error: "",
+            }],
+            CSV_HEADERS
+          );
+        }
+        processed.add(w.matchVal);
+      }
+      return;
+    }
+
+    // apply updates with concurrency
+    const waveCsvRows = [];
+
+    const recordResult = (w, failure) => {
+      let status = "UPDATED";
+
+      if (stage) {
+        if (failure) stage.errors += 1;
+        else stage.applied.push(w);
       }
 
-      let props;
-      if (multiMap) {
-        const mapped = {};
-        for (const [hsProp, bqCol] of Object.entries(property)) mapped[hsProp] = r?.[bqCol];
-        props = clean(mapped);
+      if (!failure) {
+        totalUpdated += 1;
+        processed.add(w.matchVal);
+        retryQueue.delete(w.matchVal);
+      } else if (failure.transient) {
+        // still failing after retries: queue for a --retry-failed run, keep out of the checkpoint
+        status = "RETRY_QUEUED";
+        totalRetryQueued += 1;
+        errors.push({ matchVal: w.matchVal, error: failure.text, transient: true, properties: w.properties });
+        const prev = retryQueue.get(w.matchVal);
+        retryQueue.set(w.matchVal, {
+          matchVal: w.matchVal,
+          id: w.id,
+          properties: w.properties,
+          error: failure.text,
+          attempts: (prev?.attempts || 0) + 1,
+          lastAttemptAt: new Date().toISOString(),
+        });
       } else {
-        props = clean({ [property]: r?.[column_name] });
+        // permanent (validation etc.): retrying won't help, so it counts as processed
+        status = "ERROR";
+        errors.push({ matchVal: w.matchVal, error: failure.text, transient: false, properties: w.properties });
+        processed.add(w.matchVal);
+        retryQueue.delete(w.matchVal);
       }
 
-      if (Object.keys(props).length === 0) {
-        totalSkipped += 1;
-        processed.add(id); // mark as processed so we don't loop forever on blanks
-        continue;
+      waveCsvRows.push({
+        matchVal: w.matchVal,
+        hubspot_id: w.id,
+        status,
+        properties_json: JSON.stringify(w.properties),
+        before_json: beforeJson(w),
+        after_json: afterJson(w),
+        error: failure ? failure.text : "",
+      });
+    };
+
+    totalAttempted += wave.length;
+    await applyWave(hubspotClient, object, wave, { updateMode, updateConcurrency, retry }, recordResult);
+
+    // flush CSV once per wave
+    if (outputCsvPath && waveCsvRows.length) {
+      writeCsvAppend(outputCsvPath, waveCsvRows, CSV_HEADERS);
+    }
+
+    // retry queue flush once per wave (the checkpoint journal is appended per record)
+    saveRetryQueue(retryPath, retryQueue);
+
+    console.log(
+      `✅ Wave done: attempted=${totalAttempted}, updated=${totalUpdated}, unchanged=${totalUnchanged}, skipped=${totalSkipped}, noMatch=${totalNoMatch}, errors=${errors.length}, retryQueued=${totalRetryQueued}, fetched=${totalFetched}`
+    );
+  };
+
+  // Staged rollout: rows fed into the current stage, its updated records and failures
+  const staged = rolloutCfg && apply;
+  const rolloutStages = [];
+  let stage = null;
+  let rolloutStopped = null;
+
+  const stageSize = (index) => {
+    const { stages } = rolloutCfg;
+    if (index < stages.length) return stages[index];
+    return stages[stages.length - 1] * 10 ** (index - stages.length + 1);
+  };
+
+  // Pause, re-read a sample of the stage's updates and decide whether to carry on
+  const finishStage = async () => {
+    const { pauseMs, verifySample, maxErrorRate, maxMismatchRate } = rolloutCfg;
+    const current = stage;
+    stage = null;
+
+    const attempted = current.applied.length + current.errors;
+    const errorRate = attempted ? current.errors / attempted : 0;
+
+    const sample = spreadSample(current.applied, verifySample);
+    const mismatches = [];
+    if (sample.length) {
+      if (pauseMs) {
+        console.log(`⏸️  Stage ${current.index + 1} done, waiting ${pauseMs}ms before verifying ${sample.length} records...`);
+        await sleep(pauseMs);
+      }
+      const propNames = Array.from(new Set(sample.flatMap((w) => Object.keys(w.properties))));
+      const stored = await readCurrentValues(
+        hubspotClient, object, sample.map((w) => w.id), propNames, updateConcurrency, retry
+      );
+      for (const w of sample) {
+        const values = stored.get(w.id);
+        const differing = Object.keys(w.properties).filter((k) => !values || !storedValueMatches(values[k], w.properties[k]));
+        if (differing.length) {
+          mismatches.push({
+            matchVal: w.matchVal,
+            id: w.id,
+            properties: Object.fromEntries(differing.map((k) => [k, { sent: w.properties[k], stored: values?.[k] ?? null }])),
+          });
+        }
       }
+    }
+    const mismatchRate = sample.length ? mismatches.length / sample.length : 0;
+
+    rolloutStages.push({
+      stage: current.index + 1,
+      size: current.size,
+      rows: current.fed,
+      attempted,
+      errors: current.errors,
+      errorRate,
+      verified: sample.length,
+      mismatched: mismatches.length,
+      mismatchRate,
+      mismatchExamples: mismatches.slice(0, 5),
+    });
 
-      batchUpdates.push({ id, properties: props });
+    const pct = (x) => `${(x * 100).toFixed(1)}%`;
+    console.log(
+      `🧪 Stage ${current.index + 1}: attempted=${attempted}, errors=${current.errors} (${pct(errorRate)}), verified=${sample.length}, mismatched=${mismatches.length} (${pct(mismatchRate)})`
+    );
+
+    if (errorRate > maxErrorRate) {
+      rolloutStopped = `Stage ${current.index + 1} error rate ${pct(errorRate)} is over maxErrorRate ${pct(maxErrorRate)}`;
+    } else if (mismatchRate > maxMismatchRate) {
+      rolloutStopped = `Stage ${current.index + 1} mismatch rate ${pct(mismatchRate)} is over maxMismatchRate ${pct(maxMismatchRate)}`;
     }
+    if (rolloutStopped) console.log(`🛑 Rollout stopped: ${rolloutStopped}`);
+    return !rolloutStopped;
+  };
 
-    // Process in waves of updateBatchSize
-    for (let i = 0; i < batchUpdates.length; i += updateBatchSize) {
-      const wave = batchUpdates.slice(i, i + updateBatchSize);
-      if (wave.length === 0) continue;
+  // Feeds rows to processWave in waves; with a rollout, waves never cross a stage boundary.
+  // Returns false once the rollout has stopped.
+  const runWaves = async (items) => {
+    for (let i = 0; i < items.length;) {
+      if (rolloutStopped) return false;
+      if (staged && !stage) {
+        const index = rolloutStages.length;
+        stage = { index, size: stageSize(index), fed: 0, applied: [], errors: 0 };
+        console.log(`🚦 Rollout stage ${index + 1}: up to ${stage.size} rows`);
+      }
 
-      // dry run just logs
-      if (!apply) {
-        totalAttempted += wave.length;
-        for (const w of wave) {
-          if (outputCsvPath) {
-            writeCsvAppend(
-              outputCsvPath,
-              [{
-                matchVal: w.id,
-                status: "DRY_RUN",
-                properties_json: JSON.stringify(w.properties),
-                error: "",
-              }],
-              ["matchVal", "status", "properties_json", "error"]
-            );
-          }
-          processed.add(w.id);
+      const size = staged ? Math.min(updateBatchSize, stage.size - stage.fed) : updateBatchSize;
+      const wave = items.slice(i, i + size);
+      i += size;
+      await processWave(wave);
+
+      if (staged) {
+        stage.fed += wave.length;
+        if (stage.fed >= stage.size && !(await finishStage())) return false;
+      }
+    }
+    return !rolloutStopped;
+  };
+
+  // a partly filled last stage still gets verified
+  const finishRollout = async () => {
+    if (stage && stage.fed) await finishStage();
+    if (!staged) return undefined;
+    return { stages: rolloutStages, stopped: rolloutStopped || undefined };
+  };
+
+  // opened last, so every way out below (preflight failure included) closes it
+  const processed = openCheckpoint(checkpointDir, job);
+  try {
+    // --retry-failed: replay the persisted retry queue instead of querying BigQuery
+    if (retryFailed) {
+      const entries = Array.from(retryQueue.values());
+      if (schemaPreflight && entries.length) await runSchemaPreflight([], entries.map((e) => e.properties));
+
+      console.log(`🔁 Retrying ${entries.length} queued records from ${retryPath}`);
+      console.log(`📌 job ${job.jobId}:`, processed.path || "(no checkpoint)");
+      console.log("📄 outputCsvPath:", outputCsvPath || "(none)");
+
+      await runWaves(entries.map((e) => ({ matchVal: e.matchVal, id: e.id || null, properties: e.properties })));
+      const rolloutResult = await finishRollout();
+
+      return {
+        queued: entries.length,
+        attempted: totalAttempted,
+        updated: totalUpdated,
+        noMatch: totalNoMatch,
+        unchanged: totalUnchanged,
+        retryQueued: totalRetryQueued,
+        errors,
+        jobId: job.jobId,
+        checkpointPath: processed.path || undefined,
+        outputCsvPath: outputCsvPath || undefined,
+        retryQueuePath: retryPath,
+        updateMode,
+        rollout: rolloutResult,
+        note: rolloutStopped ? `Rollout stopped: ${rolloutStopped}` : (apply ? "Retried queued updates." : "Dry run only."),
+      };
+    }
+
+    // Start BQ job
+    const [bqJob] = await bigqueryClient.createQueryJob({ query });
+
+    // Schema preflight: property definitions + a sample of transformed values, before any write
+    if (schemaPreflight) {
+      const sampleSize = limit === null ? schemaSampleSize : Math.min(limit, schemaSampleSize);
+      const { rows: sampleRows } = await fetchBigQueryPage(bqJob, null, sampleSize, sampleSize);
+      const sampleProps = [];
+      for (const r of sampleRows) {
+        try {
+          sampleProps.push(buildProps(r));
+        } catch {
+          // transform failures are reported per row during the sync
         }
-        saveCheckpoint(checkpointPath, processed);
-        continue;
       }
+      await runSchemaPreflight(sampleRows, sampleProps);
+    }
 
-      // apply updates with concurrency
-      const waveCsvRows = [];
+    // Validation preflight: one read-only pass over the job results before any write
+    let invalidIds = new Map();
+    let validatedCount = 0;
+
+    if (validateMatches && matchKeyType !== "id") {
+      console.log(`ℹ️ validateMatches: ${matchKeyType} matches are resolved against live records, nothing extra to check`);
+    } else if (validateMatches) {
+      console.log("🔎 Validating matched IDs before any write...");
+
+      const ids = new Set();
+      let vToken = null;
+      let vFetched = 0;
+      while (true) {
+        const { rows, nextPageToken } = await fetchBigQueryPage(
+          bqJob, vToken, pageSize, limit === null ? null : limit - vFetched
+        );
+        vFetched += rows.length;
+        for (const r of rows) {
+          const id = matchValueOf(r);
+          if (id && !(skipAlreadyProcessed && processed.has(id))) ids.add(id);
+        }
+        vToken = nextPageToken;
+        if (!vToken || rows.length === 0) break;
+      }
+
+      validatedCount = ids.size;
+      invalidIds = await findInvalidIds(hubspotClient, object, Array.from(ids), retry);
 
-      await runWithConcurrency(wave, updateConcurrency, async (w) => {
-        totalAttempted += 1;
+      if (missingCsv && invalidIds.size) {
+        writeCsvAppend(
+          missingCsv,
+          Array.from(invalidIds, ([id, v]) => ({ matchVal: id, reason: v.reason, merged_into: v.merged_into })),
+          ["matchVal", "reason", "merged_into"]
+        );
+      }
+
+      console.log(`✅ Validated ${validatedCount} IDs: ${invalidIds.size} missing/archived/merged`);
+      if (invalidIds.size) console.log("📄 missing_ids:", missingCsv || "(no CSV path)");
+    }
+
+    let pageToken = null;
+
+    console.log("🚀 Starting BigQuery pagination...");
+    console.log(`📌 job ${job.jobId}:`, processed.path || "(no checkpoint)", `(${processed.size()} already processed)`);
+    console.log("📄 outputCsvPath:", outputCsvPath || "(none)");
+
+    // Process pages
+    while (true) {
+      const { rows, nextPageToken } = await fetchBigQueryPage(
+        bqJob, pageToken, pageSize, limit === null ? null : limit - totalFetched
+      );
+      pageToken = nextPageToken;
+      totalFetched += rows.length;
+
+      if (rows.length === 0) break;
+
+      // Build updates for this page
+      const batchUpdates = [];
+      const queued = new Set();
+
+      const rejectedRows = [];
+
+      for (const r of rows) {
+        const id = matchValueOf(r);
+        if (!id) continue;
+
+        // skip duplicates across whole run / reruns
+        if ((skipAlreadyProcessed && processed.has(id)) || queued.has(id)) {
+          totalSkipped += 1;
+          continue;
+        }
+
+        let props;
         try {
-          await updateSingleByObjectType(hubspotClient, object, w.id, w.properties);
-          totalUpdated += 1;
-
-          waveCsvRows.push({
-            matchVal: w.id,
-            status: "UPDATED",
-            properties_json: JSON.stringify(w.properties),
-            error: "",
+          props = buildProps(r);
+        } catch (e) {
+          // bad source value: report it, leave it out of the checkpoint so fixed data is picked up
+          totalTransformErrors += 1;
+          errors.push({ matchVal: id, error: e.message, transient: false, properties: {} });
+          rejectedRows.push({
+            matchVal: id,
+            hubspot_id: "",
+            status: "TRANSFORM_ERROR",
+            properties_json: "",
+            error: e.message,
           });
+          continue;
+        }
 
-          processed.add(w.id);
-        } catch (e) {
-          const errText = e?.response?.body
-            ? JSON.stringify(e.response.body)
-            : (e?.message || String(e));
+        if (Object.keys(props).length === 0) {
+          totalSkipped += 1;
+          processed.add(id); // mark as processed so we don't loop forever on blanks
+          continue;
+        }
 
-          errors.push({ matchVal: w.id, error: errText, properties: w.properties });
+        queued.add(id);
 
-          waveCsvRows.push({
-            matchVal: w.id,
-            status: "ERROR",
-            properties_json: JSON.stringify(w.properties),
-            error: errText,
+        // failed validation: reported in missing_ids, never sent to HubSpot
+        const invalid = invalidIds.get(id);
+        if (invalid) {
+          totalInvalid += 1;
+          rejectedRows.push({
+            matchVal: id,
+            hubspot_id: "",
+            status: invalid.reason,
+            properties_json: JSON.stringify(props),
+            error: invalid.reason === "MERGED" ? `Merged into ${invalid.merged_into}` : `Record is ${invalid.reason.toLowerCase()}`,
           });
+          continue;
+        }
+
+        batchUpdates.push({ matchVal: id, id: idProperty ? null : id, properties: props });
+      }
+
+      if (outputCsvPath && rejectedRows.length) writeCsvAppend(outputCsvPath, rejectedRows, CSV_HEADERS);
+
+      // Process in waves of updateBatchSize (split at rollout stage boundaries)
+      if (!(await runWaves(batchUpdates))) break;
+
+      if (!pageToken) break; // no more pages
+    }
+    const rolloutResult = await finishRollout();
+
+    const validation = validateMatches && matchKeyType === "id"
+      ? {
+        checked: validatedCount,
+        missing: Array.from(invalidIds.values()).filter((v) => v.reason === "MISSING").length,
+        archived: Array.from(invalidIds.values()).filter((v) => v.reason === "ARCHIVED").length,
+        merged: Array.from(invalidIds.values()).filter((v) => v.reason === "MERGED").length,
+        skippedInSync: totalInvalid,
+        missingIdsCsvPath: invalidIds.size ? (missingCsv || undefined) : undefined,
+      }
+      : undefined;
+
+    return {
+      fetched: totalFetched,
+      attempted: totalAttempted,
+      updated: totalUpdated,
+      skipped: totalSkipped,
+      noMatch: totalNoMatch,
+      unchanged: totalUnchanged,
+      retryQueued: totalRetryQueued,
+      transformErrors: totalTransformErrors,
+      errors,
+      validation,
+      missingIds: includeMissingIds
+        ? Array.from(invalidIds, ([id, v]) => ({ matchVal: id, ...v }))
+        : undefined,
+      jobId: job.jobId,
+      checkpointPath: processed.path || undefined,
+      outputCsvPath: outputCsvPath || undefined,
+      retryQueuePath: retryQueue.size ? retryPath : undefined,
+      updateMode,
+      matchKeyType,
+      limit: limit ?? undefined,
+      rollout: rolloutResult,
+      note: rolloutStopped ? `Rollout stopped: ${rolloutStopped}` : (apply ? "Executed updates." : "Dry run only."),
+    };
+  } finally {
+    processed.close();
+  }
+}
+
+/** ---------- Rollback (revert a sync run from its output CSV) ---------- */
+function readCsvRows(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on("data", (row) => rows.push(row))
+      .on("end", () => resolve(rows))
+      .on("error", (err) => reject(err));
+  });
+}
+
+/**
+ * Builds the restore list from a sync output CSV: every UPDATED row with before_json.
+ * If a record was updated more than once in the file, the earliest prior value of each
+ * property wins (that is the value before the first run touched it).
+ * Returns { restores: [{ matchVal, id, properties, current }], unrestorable }.
+ */
+function buildRollbackPlan(csvRows) {
+  const byId = new Map();
+  let unrestorable = 0;
+
+  for (const r of csvRows) {
+    if (r.status !== "UPDATED") continue;
+    const id = String(r.hubspot_id || r.matchVal || "").trim();
+    if (!id || !r.before_json) {
+      unrestorable += 1;
+      continue;
+    }
+
+    const before = JSON.parse(r.before_json);
+    const after = r.after_json ? JSON.parse(r.after_json) : JSON.parse(r.properties_json || "{}");
+
+    if (!byId.has(id)) byId.set(id, { matchVal: r.matchVal || id, id, properties: {}, current: {} });
+    const entry = byId.get(id);
+    for (const [k, v] of Object.entries(before)) {
+      if (!(k in entry.properties)) entry.properties[k] = v === null || v === undefined ? "" : String(v);
+    }
+    // the latest run's value is what HubSpot holds now
+    Object.assign(entry.current, after);
+  }
+
+  return { restores: Array.from(byId.values()), unrestorable };
+}
+
+/**
+ * Reverts a sync run: restores before_json values for every UPDATED row of `inputCsvPath`.
+ * Same dry-run/apply, updateMode, concurrency and checkpoint behaviour as the forward sync;
+ * results go to `outputCsvPath` (before_json = value being replaced, after_json = restored value).
+ */
+async function rollbackSyncFromCsv({
+  object,
+  inputCsvPath,
 
-          // still mark as processed so we don't hammer the same failing record forever
+  apply = false,
+
+  updateBatchSize = 500,
+  updateConcurrency = 10,
+  updateMode = "single",
+
+  checkpointDir = "./data/checkpoints",
+  skipAlreadyProcessed = true,
+
+  outputCsvPath = null,      // default: <inputCsvPath>_rollback.csv
+
+  hubspotClient,
+
+  ...unknownOptions
+}) {
+  const unknownKeys = Object.keys(unknownOptions);
+  if (unknownKeys.length) throw new Error(`Unknown option(s): ${unknownKeys.join(", ")}`);
+  if (!object) throw new Error("Missing required arg: object");
+  if (!inputCsvPath) throw new Error("Missing required arg: inputCsvPath");
+  if (!hubspotClient) throw new Error("Missing required arg: hubspotClient");
+  if (!["single", "batch"].includes(updateMode)) {
+    throw new Error(`Invalid updateMode: ${updateMode} (expected "single" or "batch")`);
+  }
+  if (!fs.existsSync(inputCsvPath)) throw new Error(`Input CSV not found: ${inputCsvPath}`);
+
+  const outPath = outputCsvPath || inputCsvPath.replace(/(\.csv)?$/i, "_rollback.csv");
+  checkCsvHeader(inputCsvPath, CSV_HEADERS);
+  checkCsvHeader(outPath, CSV_HEADERS);
+
+  const { restores, unrestorable } = buildRollbackPlan(await readCsvRows(inputCsvPath));
+  const job = jobIdentity({
+    kind: "rollback",
+    object,
+    inputCsvPath: path.resolve(inputCsvPath),
+    mode: apply ? "apply" : "dry_run",
+  });
+  const processed = openCheckpoint(checkpointDir, job);
+  try {
+    let totalAttempted = 0;
+    let totalRestored = 0;
+    let totalSkipped = 0;
+    const errors = [];
+
+    console.log(`⏪ Rollback of ${inputCsvPath}: ${restores.length} records to restore`);
+    if (unrestorable) console.log(`⚠️ ${unrestorable} UPDATED rows have no before_json and cannot be restored`);
+    console.log(`📌 job ${job.jobId}:`, processed.path || "(no checkpoint)");
+    console.log("📄 outputCsvPath:", outPath);
+
+    const pending = restores.filter((w) => {
+      if (skipAlreadyProcessed && processed.has(w.id)) {
+        totalSkipped += 1;
+        return false;
+      }
+      return true;
+    });
+
+    for (let i = 0; i < pending.length; i += updateBatchSize) {
+      const wave = pending.slice(i, i + updateBatchSize);
+      const waveCsvRows = [];
+      totalAttempted += wave.length;
+
+      const toRow = (w, status, error) => ({
+        matchVal: w.matchVal,
+        hubspot_id: w.id,
+        status,
+        properties_json: JSON.stringify(w.properties),
+        before_json: JSON.stringify(w.current),
+        after_json: JSON.stringify(w.properties),
+        error,
+      });
+
+      if (!apply) {
+        for (const w of wave) {
+          waveCsvRows.push(toRow(w, "DRY_RUN", ""));
           processed.add(w.id);
         }
-      });
+      } else {
+        await applyWave(hubspotClient, object, wave, { updateMode, updateConcurrency }, (w, failure) => {
+          if (!failure) {
+            totalRestored += 1;
+            waveCsvRows.push(toRow(w, "RESTORED", ""));
+            processed.add(w.id);
+            return;
+          }
 
-      // flush CSV once per wave
-      if (outputCsvPath && waveCsvRows.length) {
-        writeCsvAppend(outputCsvPath, waveCsvRows, ["matchVal", "status", "properties_json", "error"]);
+          errors.push({ matchVal: w.matchVal, error: failure.text, transient: failure.transient, properties: w.properties });
+          waveCsvRows.push(toRow(w, failure.transient ? "RETRY_LATER" : "ERROR", failure.text));
+          // transient failures stay out of the checkpoint so rerunning the rollback picks them up
+          if (!failure.transient) processed.add(w.id);
+        });
       }
 
-      // checkpoint flush once per wave
-      saveCheckpoint(checkpointPath, processed);
+      if (waveCsvRows.length) writeCsvAppend(outPath, waveCsvRows, CSV_HEADERS);
 
       console.log(
-        `✅ Wave done: attempted=${totalAttempted}, updated=${totalUpdated}, skipped=${totalSkipped}, errors=${errors.length}, fetched=${totalFetched}`
+        `✅ Rollback wave done: attempted=${totalAttempted}, restored=${totalRestored}, skipped=${totalSkipped}, errors=${errors.length}`
       );
     }
 
-    if (!pageToken) break; // no more pages
+    return {
+      records: restores.length,
+      unrestorable,
+      attempted: totalAttempted,
+      restored: totalRestored,
+      skipped: totalSkipped,
+      errors,
+      jobId: job.jobId,
+      checkpointPath: processed.path || undefined,
+      outputCsvPath: outPath,
+      note: apply ? "Executed rollback." : "Dry run only.",
+    };
+  } finally {
+    processed.close();
   }
-
-  return {
-    fetched: totalFetched,
-    attempted: totalAttempted,
-    updated: totalUpdated,
-    skipped: totalSkipped,
-    errors,
-    checkpointPath,
-    outputCsvPath: outputCsvPath || undefined,
-    note: apply ? "Executed updates." : "Dry run only.",
-  };
 }
 
-module.exports = { syncHubSpotPropertiesFromBigQuery };
+module.exports = { syncHubSpotPropertiesFromBigQuery, rollbackSyncFromCsv, registerTransform, findInvalidIds };
@@ -0,0 +1,106 @@
+// import_plan.js
+// Versioned plan files for `hubspot-import-cli.js plan` / `apply <planfile>`.
+//
+// A plan holds every operation of the merge → update → delete run, each with a sequence
+// number and its phase:
+//   { seq, phase: "merge",  op: "merge",   primary, merge_id, merge_key }
+//   { seq, phase: "update", op: "upsert",  idProperty, id, properties }
+//   { seq, phase: "delete", op: "archive", id }
+// plus the object type and sources it was built from, a per-phase summary and a checksum of the
+// operations.
+// `apply` refuses plans that are too old, from another version, or whose operations changed.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// 2: upserts carry idProperty + id (any object type) instead of a contact email
+const PLAN_VERSION = 2;
+const PLAN_KIND = "hubspot-import-plan";
+const PHASES = ["merge", "update", "delete"];
+
+function checksum(operations) {
+  return crypto.createHash("sha256").update(JSON.stringify(operations)).digest("hex").slice(0, 16);
+}
+
+/**
+ * Builds the plan from { merge: { ops, info }, update: { ops, info }, delete: { ops, info } }.
+ * Operations are numbered in phase order.
+ */
+function buildPlan(phases, meta = {}) {
+  const operations = [];
+  const summary = {};
+
+  for (const phase of PHASES) {
+    const p = phases[phase];
+    if (!p) continue;
+    for (const op of p.ops) operations.push({ seq: operations.length + 1, phase, ...op });
+    summary[phase] = { operations: p.ops.length, ...p.info };
+  }
+
+  return {
+    kind: PLAN_KIND,
+    version: PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    ...meta,
+    summary,
+    checksum: checksum(operations),
+    operations,
+  };
+}
+
+function writePlan(filePath, plan) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(plan, null, 2), "utf8");
+}
+
+/** Reads and validates a plan file; throws with the reason it cannot be applied. */
+function loadPlan(filePath, { maxAgeHours }) {
+  if (!fs.existsSync(filePath)) throw new Error(`Plan file not found: ${filePath}`);
+  const plan = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+  if (plan.kind !== PLAN_KIND) throw new Error(`${filePath} is not a hubspot-import plan`);
+  if (plan.version !== PLAN_VERSION) {
+    throw new Error(`Plan version ${plan.version} is not supported (expected ${PLAN_VERSION}); re-run plan`);
+  }
+  if (checksum(plan.operations || []) !== plan.checksum) {
+    throw new Error("Plan operations do not match the plan checksum (was the file edited?); re-run plan");
+  }
+
+  const ageHours = (Date.now() - Date.parse(plan.createdAt)) / 36e5;
+  if (!(ageHours <= maxAgeHours)) {
+    throw new Error(
+      `Plan is ${ageHours.toFixed(1)}h old, over the ${maxAgeHours}h limit; re-run plan (or pass --max-age-hours)`
+    );
+  }
+
+  return plan;
+}
+
+function formatPlanSummary(plan, filePath) {
+  const lines = [`Plan ${filePath} (created ${plan.createdAt}, ${plan.operations.length} operations, checksum ${plan.checksum})`];
+  for (const phase of PHASES) {
+    const s = plan.summary[phase];
+    if (!s) continue;
+    const extra = Object.entries(s)
+      .filter(([k, v]) => k !== "operations" && v !== null && v !== undefined && v !== "")
+      .map(([k, v]) => `${k}=${v}`)
+      .join(", ");
+    lines.push(`  ${phase.padEnd(7)} ${String(s.operations).padStart(7)} ops${extra ? `  (${extra})` : ""}`);
+
+    for (const op of plan.operations.filter((o) => o.phase === phase).slice(0, 3)) {
+      if (op.op === "merge") lines.push(`            e.g. merge ${op.merge_id} into ${op.primary} [${op.merge_key}]`);
+      if (op.op === "upsert") lines.push(`            e.g. upsert ${op.idProperty}=${op.id}: ${Object.keys(op.properties).join(", ")}`);
+      if (op.op === "archive") lines.push(`            e.g. archive ${op.id}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  PHASES,
+  buildPlan,
+  writePlan,
+  loadPlan,
+  formatPlanSummary,
+};
@@ -0,0 +1,115 @@
+// merge_audit.js
+// Audit trail for HubSpot merges: one row per merge pair, with both records' properties and
+// associations snapshotted just before the merge (hubspot_snapshot.js). Merges cannot be undone,
+// so this is what analysts use to see what happened and re-create lost data by hand.
+//
+// Rows always go to a local JSONL file (appended as each merge finishes) and, optionally, to a
+// BigQuery table. In BigQuery the snapshots are JSON strings (query them with PARSE_JSON).
+
+const fs = require("fs");
+const path = require("path");
+
+const { errorText } = require(path.join(__dirname, "hubspot_retry.js"));
+const { ensureTable } = require(path.join(__dirname, "hubspot_snapshot.js"));
+
+const AUDIT_SCHEMA = [
+  { name: "run_id", type: "STRING", mode: "REQUIRED" },
+  { name: "merge_key", type: "STRING", mode: "NULLABLE" },
+  { name: "object", type: "STRING", mode: "REQUIRED" },
+  { name: "primary_id", type: "STRING", mode: "REQUIRED" },
+  { name: "merged_id", type: "STRING", mode: "REQUIRED" },
+  { name: "merged_at", type: "TIMESTAMP", mode: "REQUIRED" },
+  { name: "outcome", type: "STRING", mode: "REQUIRED" },
+  { name: "error", type: "STRING", mode: "NULLABLE" },
+  { name: "primary_snapshot", type: "STRING", mode: "NULLABLE" },
+  { name: "merged_snapshot", type: "STRING", mode: "NULLABLE" },
+];
+
+/** ---------- Writer ---------- */
+/**
+ * Opens the audit trail. record(row) appends to the JSONL file right away and buffers the
+ * BigQuery insert; close() flushes what is left. BigQuery failures are logged, never thrown:
+ * the JSONL file is the source of truth.
+ */
+async function openMergeAudit({ jsonlPath, bigquery = null, tableName = null, location = "US", runId }) {
+  fs.mkdirSync(path.dirname(jsonlPath), { recursive: true });
+  const fd = fs.openSync(jsonlPath, "a");
+  const table = bigquery && tableName ? await ensureTable(bigquery, tableName, AUDIT_SCHEMA, location) : null;
+  const pending = [];
+
+  const flush = async () => {
+    if (!table || !pending.length) return;
+    const batch = pending.splice(0, pending.length);
+    try {
+      await table.insert(batch);
+    } catch (err) {
+      console.error("❌ BigQuery audit insert error:", err?.message || err);
+      if (err?.errors) console.error(JSON.stringify(err.errors, null, 2));
+    }
+  };
+
+  return {
+    path: jsonlPath,
+    table: tableName,
+    async record(row) {
+      const full = { run_id: runId, ...row };
+      fs.writeSync(fd, `${JSON.stringify(full)}\n`);
+      if (!table) return;
+      pending.push({
+        ...full,
+        error: full.error || null,
+        primary_snapshot: full.primary_snapshot ? JSON.stringify(full.primary_snapshot) : null,
+        merged_snapshot: full.merged_snapshot ? JSON.stringify(full.merged_snapshot) : null,
+      });
+      if (pending.length >= 50) await flush();
+    },
+    async close() {
+      await flush();
+      fs.closeSync(fd);
+    },
+  };
+}
+
+/**
+ * Snapshots both records with `snapshot` (makeSnapshotter), runs merge() and writes the audit row. Outcomes:
+ *   MERGED           merge call succeeded
+ *   ERROR            merge call threw (error holds the HubSpot body)
+ *   SNAPSHOT_FAILED  snapshot could not be taken; the merge is NOT attempted
+ * Returns the row.
+ */
+async function auditedMerge({ audit, snapshot, object, mergeKey, primaryId, mergedId, merge }) {
+  const base = { merge_key: mergeKey || null, object, primary_id: primaryId, merged_id: mergedId };
+
+  let snaps;
+  try {
+    snaps = await snapshot([primaryId, mergedId]);
+    const missing = [primaryId, mergedId].filter((id) => !snaps.has(id));
+    if (missing.length) throw new Error(`Not found when snapshotting: ${missing.join(", ")}`);
+  } catch (err) {
+    const row = { ...base, merged_at: new Date().toISOString(), outcome: "SNAPSHOT_FAILED", error: errorText(err) };
+    await audit.record(row);
+    return row;
+  }
+
+  const row = {
+    ...base,
+    merged_at: new Date().toISOString(),
+    outcome: "MERGED",
+    error: null,
+    primary_snapshot: snaps.get(primaryId),
+    merged_snapshot: snaps.get(mergedId),
+  };
+  try {
+    await merge();
+  } catch (err) {
+    row.outcome = "ERROR";
+    row.error = errorText(err);
+  }
+  await audit.record(row);
+  return row;
+}
+
+module.exports = {
+  openMergeAudit,
+  auditedMerge,
+};
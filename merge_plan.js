@@ -0,0 +1,204 @@
+// merge_plan.js
+// Turns the merge groups from BQ_MERGE_TABLE (primary_id + merge_these_ids) into a reviewable
+// merge plan before hubspot-import-cli.js merges anything.
+//
+// Every "merge B into A" is an edge B → A. Connected IDs form a cluster:
+//   - chains (C → B → A) are flattened so every member merges straight into the final primary A
+//   - cycles (A → B → A) and shared members (B → A and B → C) have no single survivor: BLOCKED
+//   - IDs are checked against HubSpot: a missing/archived/merged primary BLOCKS the cluster,
+//     a missing/archived secondary (or one already merged into the primary) is skipped,
+//     a secondary already merged into some other record BLOCKS the cluster
+//
+// Only READY clusters are executed. The plan is written as JSON so it can be reviewed first.
+
+const fs = require("fs");
+const path = require("path");
+
+const PLAN_VERSION = 1;
+
+/** ---------- Graph ---------- */
+function makeUnionFind() {
+  const parent = new Map();
+  const find = (x) => {
+    if (!parent.has(x)) parent.set(x, x);
+    let root = x;
+    while (parent.get(root) !== root) root = parent.get(root);
+    while (parent.get(x) !== root) {
+      const next = parent.get(x);
+      parent.set(x, root);
+      x = next;
+    }
+    return root;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+  return { find, union, nodes: () => Array.from(parent.keys()) };
+}
+
+// Follows secondary → primary edges from `id`; returns the path, or null when it loops.
+function followChain(id, primaryOf) {
+  const seen = [id];
+  let cur = id;
+  while (primaryOf.has(cur)) {
+    cur = primaryOf.get(cur);
+    if (seen.includes(cur)) return null;
+    seen.push(cur);
+  }
+  return seen;
+}
+
+/**
+ * Builds the plan from groups: [{ merge_key, primary_id, merge_these_ids: [] }].
+ * Returns { version, createdAt, clusters: [{ primary, merge, skipped, status, issues, groups }] }.
+ */
+function buildMergePlan(groups) {
+  const uf = makeUnionFind();
+  const targets = new Map(); // secondary → Set(primaries it is asked to merge into)
+  const groupsOf = new Map(); // id → Set(merge_key)
+  const selfMerges = new Set();
+
+  const noteGroup = (id, key) => {
+    if (!groupsOf.has(id)) groupsOf.set(id, new Set());
+    if (key) groupsOf.get(id).add(key);
+  };
+
+  for (const g of groups) {
+    uf.find(g.primary_id);
+    noteGroup(g.primary_id, g.merge_key);
+
+    for (const id of g.merge_these_ids) {
+      noteGroup(id, g.merge_key);
+      if (id === g.primary_id) {
+        selfMerges.add(id);
+        continue;
+      }
+      uf.union(id, g.primary_id);
+      if (!targets.has(id)) targets.set(id, new Set());
+      targets.get(id).add(g.primary_id);
+    }
+  }
+
+  const members = new Map();
+  for (const id of uf.nodes()) {
+    const root = uf.find(id);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(id);
+  }
+
+  const clusters = [];
+  for (const ids of members.values()) {
+    const issues = [];
+
+    // shared member: one ID asked to merge into more than one record
+    for (const id of ids) {
+      const t = targets.get(id);
+      if (t && t.size > 1) issues.push(`${id} is a secondary of ${t.size} primaries (${Array.from(t).join(", ")})`);
+    }
+
+    const primaryOf = new Map();
+    for (const id of ids) {
+      const t = targets.get(id);
+      if (t && t.size === 1) primaryOf.set(id, Array.from(t)[0]);
+    }
+
+    // cycle: following the edges from some ID comes back round
+    for (const id of ids) {
+      if (followChain(id, primaryOf) === null) {
+        issues.push(`cycle through ${id}`);
+        break;
+      }
+    }
+
+    const roots = ids.filter((id) => !targets.has(id));
+    const primary = !issues.length && roots.length === 1 ? roots[0] : null;
+    if (!issues.length && roots.length !== 1) issues.push(`no single final primary (${roots.join(", ") || "none"})`);
+
+    const merge = primary ? ids.filter((id) => id !== primary).sort() : [];
+    const chained = merge.filter((id) => primaryOf.get(id) !== primary);
+
+    clusters.push({
+      primary,
+      merge,
+      skipped: [],
+      status: issues.length ? "BLOCKED" : "READY",
+      issues,
+      notes: [
+        ...chained.map((id) => `${id} chained via ${primaryOf.get(id)}, merging into ${primary}`),
+        ...ids.filter((id) => selfMerges.has(id)).map((id) => `${id} listed as merging into itself, ignored`),
+      ],
+      ids: ids.slice().sort(),
+      groups: Array.from(new Set(ids.flatMap((id) => Array.from(groupsOf.get(id) || [])))).sort(),
+    });
+  }
+
+  // single-ID clusters only come from self-merges: nothing to do
+  return {
+    version: PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    clusters: clusters.filter((c) => c.ids.length > 1 || c.issues.length),
+  };
+}
+
+/**
+ * Applies the HubSpot check: invalid is Map<id, { reason: MISSING|ARCHIVED|MERGED, merged_into }>
+ * (hubspot_update.js findInvalidIds). Mutates and returns the plan.
+ */
+function applyHubSpotCheck(plan, invalid) {
+  for (const c of plan.clusters) {
+    if (c.status !== "READY") continue;
+
+    const p = invalid.get(c.primary);
+    if (p) {
+      c.status = "BLOCKED";
+      c.issues.push(p.reason === "MERGED"
+        ? `primary ${c.primary} was already merged into ${p.merged_into}`
+        : `primary ${c.primary} is ${p.reason.toLowerCase()}`);
+      continue;
+    }
+
+    const keep = [];
+    for (const id of c.merge) {
+      const v = invalid.get(id);
+      if (!v) {
+        keep.push(id);
+      } else if (v.reason === "MERGED" && v.merged_into === c.primary) {
+        c.skipped.push({ id, reason: `already merged into ${c.primary}` });
+      } else if (v.reason === "MERGED") {
+        c.status = "BLOCKED";
+        c.issues.push(`${id} was already merged into ${v.merged_into}, not ${c.primary}`);
+      } else {
+        c.skipped.push({ id, reason: v.reason.toLowerCase() });
+      }
+    }
+    if (c.status !== "READY") continue; // keep the full list on blocked clusters for review
+    c.merge = keep;
+    if (!keep.length) c.status = "NOTHING_TO_DO";
+  }
+
+  plan.checkedAt = new Date().toISOString();
+  return plan;
+}
+
+function summarizeMergePlan(plan) {
+  const count = (status) => plan.clusters.filter((c) => c.status === status).length;
+  return {
+    clusters: plan.clusters.length,
+    ready: count("READY"),
+    blocked: count("BLOCKED"),
+    nothingToDo: count("NOTHING_TO_DO"),
+    merges: plan.clusters.filter((c) => c.status === "READY").reduce((n, c) => n + c.merge.length, 0),
+    skipped: plan.clusters.reduce((n, c) => n + c.skipped.length, 0),
+    chained: plan.clusters.reduce((n, c) => n + c.notes.filter((x) => x.includes(" chained via ")).length, 0),
+  };
+}
+
+function writeMergePlan(filePath, plan) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ ...plan, summary: summarizeMergePlan(plan) }, null, 2), "utf8");
+}
+
+module.exports = {
+  buildMergePlan,
+  applyHubSpotCheck,
+  summarizeMergePlan,
+  writeMergePlan,
+};
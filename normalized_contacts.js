@@ -6,6 +6,7 @@ const hubspot = require("@hubspot/api-client");
 const { BigQuery } = require("@google-cloud/bigquery");
 
 const { syncHubSpotPropertiesFromBigQuery } = require(path.join(__dirname, "hubspot_update.js"));
+const { createRunSummary, summaryPath, closeRunSummary } = require(path.join(__dirname, "run_summary.js"));
 
 const HUBSPOT_TOKEN = process.env.HUBSPOT_PERSONAL_ACCESS_KEY;
 if (!HUBSPOT_TOKEN) {
@@ -13,6 +14,11 @@ if (!HUBSPOT_TOKEN) {
   process.exit(1);
 }
 
+// node normalized_contacts.js --summary=file.json  → run summary (+ .md next to it); exit 0 / 2 partial / 1 aborted
+const SUMMARY_PATH = summaryPath(process.argv, "normalized_contacts");
+
+const RUN = createRunSummary({ command: "normalized_contacts", object: "contacts", apply: true, argv: process.argv.slice(2) });
+
 const hubspotClient = new hubspot.Client({ accessToken: HUBSPOT_TOKEN });
 
 const bigquery = new BigQuery({
@@ -47,6 +53,12 @@ async function main() {
     validateMatches: true,
     includeMissingIds: true,
 
+    // node normalized_contacts.js --retry-failed  → replay records queued after transient errors
+    retryFailed: process.argv.includes("--retry-failed"),
+
+    // node normalized_contacts.js --rollout  → canary first, verify, then bigger stages
+    rollout: process.argv.includes("--rollout"),
+
     // ✅ write CSV
     outputCsvPath: process.env.LOCAL_CONTACTS_EDITS || "./data/contact_updates.csv",
 
@@ -55,10 +67,22 @@ async function main() {
   });
 
   console.log(JSON.stringify(result, null, 2));
+
+  RUN.source("sync", "trusight-480718.hubspot.contacts_clean_with_actions");
+  for (const k of ["fetched", "attempted", "updated", "skipped", "noMatch", "unchanged", "retryQueued", "transformErrors"]) {
+    if (typeof result[k] === "number") RUN.count("sync", k, result[k]);
+  }
+  for (const e of result.errors || []) RUN.error("sync", e.error);
+  // a stopped rollout counts as partial: the remaining records were not written
+  if (result.rollout?.stopped) RUN.error("sync", result.note);
+  if (result.outputCsvPath) RUN.output("updates", result.outputCsvPath);
+  if (result.retryQueuePath) RUN.output("retryQueue", result.retryQueuePath);
+
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH));
 }
 
 main().catch((err) => {
   console.error("❌ Script failed");
   console.error(err?.response?.body ? JSON.stringify(err.response.body, null, 2) : err);
-  process.exit(1);
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH, err));
 });
@@ -0,0 +1,88 @@
+// rollback_sync.js
+//
+// Reverts a syncHubSpotPropertiesFromBigQuery apply run using its output CSV
+// (restores before_json for every UPDATED row).
+//
+// Usage:
+//   node rollback_sync.js ./data/contact_updates.csv                 (dry-run)
+//   node rollback_sync.js ./data/contact_updates.csv --apply
+//
+// Optional:
+//   --object=contacts   (default: contacts)
+//   --mode=batch        (single|batch, default: single)
+//   --concurrency=10
+//   --checkpoint-dir=./data/checkpoints
+//   --out=./data/contact_updates_rollback.csv
+//   --summary=./data/run_summaries/rollback_sync_<time>.json   (run summary; a .md rendering is written next to it)
+//
+// Exits 0 when every record was restored, 2 when some failed, 1 when the rollback aborted.
+
+require("dotenv").config();
+
+const path = require("path");
+const hubspot = require("@hubspot/api-client");
+
+const { rollbackSyncFromCsv } = require(path.join(__dirname, "hubspot_update.js"));
+const { createRunSummary, summaryPath, closeRunSummary } = require(path.join(__dirname, "run_summary.js"));
+
+const HUBSPOT_TOKEN = process.env.HUBSPOT_PERSONAL_ACCESS_KEY;
+if (!HUBSPOT_TOKEN) {
+  console.error("❌ Missing HUBSPOT_PERSONAL_ACCESS_KEY in .env");
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const a = args.find((x) => x.startsWith(`${name}=`));
+  return a ? a.split("=").slice(1).join("=") : null;
+};
+
+const inputCsvPath = args.find((a) => !a.startsWith("--"));
+if (!inputCsvPath) {
+  console.log("Usage:");
+  console.log("  node rollback_sync.js <sync_output.csv> [--apply] [--object=contacts] [--mode=single|batch] [--concurrency=10]");
+  process.exit(0);
+}
+
+const hubspotClient = new hubspot.Client({ accessToken: HUBSPOT_TOKEN });
+
+const OBJECT = getArg("--object") || "contacts";
+const APPLY = args.includes("--apply");
+const SUMMARY_PATH = summaryPath(args, "rollback_sync");
+
+const RUN = createRunSummary({ command: "rollback_sync", object: OBJECT, apply: APPLY, argv: args });
+
+async function main() {
+  const concurrencyArg = getArg("--concurrency");
+
+  const result = await rollbackSyncFromCsv({
+    object: OBJECT,
+    inputCsvPath,
+
+    apply: APPLY,
+
+    updateMode: getArg("--mode") || "single",
+    updateConcurrency: concurrencyArg ? parseInt(concurrencyArg, 10) : 10,
+
+    checkpointDir: getArg("--checkpoint-dir") || "./data/checkpoints",
+    outputCsvPath: getArg("--out"),
+
+    hubspotClient,
+  });
+
+  console.log(JSON.stringify(result, null, 2));
+
+  RUN.source("rollback", inputCsvPath);
+  for (const [k, n] of Object.entries(result)) if (typeof n === "number") RUN.count("rollback", k, n);
+  for (const e of result.errors || []) RUN.error("rollback", e.error);
+  RUN.error("rollback", "UPDATED row without before_json (cannot be restored)", result.unrestorable);
+  RUN.output("rollback", result.outputCsvPath);
+
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH));
+}
+
+main().catch((err) => {
+  console.error("❌ Rollback failed");
+  console.error(err?.response?.body ? JSON.stringify(err.response.body, null, 2) : err);
+  process.exit(closeRunSummary(RUN, SUMMARY_PATH, err));
+});
@@ -0,0 +1,201 @@
+// run_summary.js
+// Machine-readable run summary for hubspot-import-cli.js and the other commands (sync, rollback,
+// exports, delete list, checkpoints): counts per action, errors grouped by HubSpot error
+// category, input sources and duration, written as JSON plus a Markdown rendering.
+//
+// Exit codes (what schedulers should alert on):
+//   0  success  every action finished without record errors
+//   2  partial  the run finished but some records failed (see errors)
+//   1  aborted  the run stopped on an error (preflight, confirmation, crash)
+
+const fs = require("fs");
+const path = require("path");
+
+const { errorStatus, errorBody } = require(path.join(__dirname, "hubspot_retry.js"));
+
+const EXIT_CODES = { success: 0, partial: 2, aborted: 1 };
+
+const MAX_EXAMPLES = 3;
+
+/**
+ * HubSpot error category of an error or of an error text (errorText output / 207 error JSON):
+ * the body's category (VALIDATION_ERROR, OBJECT_NOT_FOUND, RATE_LIMITS, ...), else HTTP_<status>,
+ * else OTHER.
+ */
+function errorCategory(e) {
+  if (typeof e === "string") {
+    try {
+      const parsed = JSON.parse(e);
+      if (parsed?.category) return String(parsed.category);
+      if (parsed?.status && /^\d+$/.test(String(parsed.status))) return `HTTP_${parsed.status}`;
+    } catch (_) {
+      // plain message
+    }
+    return "OTHER";
+  }
+  const category = errorBody(e)?.category;
+  if (category) return String(category);
+  const status = errorStatus(e);
+  return status ? `HTTP_${status}` : "OTHER";
+}
+
+function errorMessage(e) {
+  if (typeof e === "string") {
+    try {
+      const parsed = JSON.parse(e);
+      if (parsed?.message) return String(parsed.message);
+    } catch (_) {
+      // plain message
+    }
+    return e;
+  }
+  return errorBody(e)?.message || e?.message || String(e);
+}
+
+/**
+ * Starts a summary for one command run. Actions are created on first use:
+ *   run.source(action, "project.dataset.table")
+ *   run.count(action, "updated", 42)
+ *   run.error(action, err | errorText, n)   → errors[action][category] += n (and counts.errors)
+ * finish(abortError?) stamps the end and returns { status, exitCode }.
+ */
+function createRunSummary({ command, object = null, apply = false, argv = [] }) {
+  const summary = {
+    command,
+    object,
+    mode: apply ? "apply" : "dry-run",
+    args: argv,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    status: null,
+    exitCode: null,
+    abortedBy: null,
+    actions: {},
+    outputs: {},
+  };
+  const started = Date.now();
+
+  const action = (name) => {
+    if (!summary.actions[name]) summary.actions[name] = { source: null, counts: {}, errors: {} };
+    return summary.actions[name];
+  };
+
+  return {
+    summary,
+    source(name, src) {
+      action(name).source = src;
+    },
+    count(name, key, n = 1) {
+      const counts = action(name).counts;
+      counts[key] = (counts[key] || 0) + n;
+    },
+    error(name, e, n = 1) {
+      if (!n) return;
+      const a = action(name);
+      const category = errorCategory(e);
+      const g = a.errors[category] || (a.errors[category] = { count: 0, examples: [] });
+      g.count += n;
+      const msg = errorMessage(e);
+      if (g.examples.length < MAX_EXAMPLES && !g.examples.includes(msg)) g.examples.push(msg);
+      a.counts.errors = (a.counts.errors || 0) + n;
+    },
+    output(key, filePath) {
+      summary.outputs[key] = filePath;
+    },
+    finish(abortError = null) {
+      summary.finishedAt = new Date().toISOString();
+      summary.durationMs = Date.now() - started;
+
+      const recordErrors = Object.values(summary.actions).reduce((n, a) => n + (a.counts.errors || 0), 0);
+      if (abortError) {
+        summary.status = "aborted";
+        summary.abortedBy = { category: errorCategory(abortError), message: errorMessage(abortError) };
+      } else {
+        summary.status = recordErrors ? "partial" : "success";
+      }
+      summary.exitCode = EXIT_CODES[summary.status];
+      return { status: summary.status, exitCode: summary.exitCode };
+    },
+  };
+}
+
+/** ---------- Rendering ---------- */
+function toMarkdown(s) {
+  const lines = [
+    `# ${s.command}${s.object ? ` (${s.object})` : ""}: ${s.status}`,
+    "",
+    `- mode: ${s.mode}`,
+    `- started: ${s.startedAt}`,
+    `- duration: ${(s.durationMs / 1000).toFixed(1)}s`,
+    `- exit code: ${s.exitCode}`,
+  ];
+  if (s.abortedBy) lines.push(`- aborted by: ${s.abortedBy.category}: ${s.abortedBy.message}`);
+
+  for (const [name, a] of Object.entries(s.actions)) {
+    lines.push("", `## ${name}`, "");
+    if (a.source) lines.push(`Source: \`${a.source}\``, "");
+
+    const counts = Object.entries(a.counts);
+    if (counts.length) {
+      lines.push("| count | value |", "| --- | ---: |");
+      for (const [k, v] of counts) lines.push(`| ${k} | ${v} |`);
+    }
+
+    const errors = Object.entries(a.errors);
+    if (errors.length) {
+      lines.push("", "| error category | records | examples |", "| --- | ---: | --- |");
+      for (const [cat, g] of errors) {
+        lines.push(`| ${cat} | ${g.count} | ${g.examples.map((x) => x.replace(/\|/g, "\\|").replace(/\n/g, " ")).join("<br>")} |`);
+      }
+    }
+  }
+
+  const outputs = Object.entries(s.outputs);
+  if (outputs.length) {
+    lines.push("", "## Outputs", "");
+    for (const [k, v] of outputs) lines.push(`- ${k}: \`${v}\``);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/** Writes <jsonPath> and the Markdown next to it (same name, .md). Returns both paths. */
+function writeRunSummary(jsonPath, summary) {
+  fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+  const mdPath = jsonPath.replace(/(\.json)?$/i, ".md");
+  fs.writeFileSync(jsonPath, JSON.stringify(summary, null, 2), "utf8");
+  fs.writeFileSync(mdPath, toMarkdown(summary), "utf8");
+  return { jsonPath, mdPath };
+}
+
+/** --summary=<file> from argv, else ./data/run_summaries/<command>_<time>.json */
+function summaryPath(argv, command) {
+  const arg = argv.find((a) => a.startsWith("--summary="));
+  if (arg) return arg.split("=").slice(1).join("=");
+  return path.join("./data/run_summaries", `${command}_${new Date().toISOString().replace(/[:.]/g, "-")}.json`);
+}
+
+/**
+ * Finishes `run` (aborted when abortError is given), writes its summary to jsonPath and returns
+ * the exit code for process.exit. A summary that cannot be written is logged, not thrown.
+ */
+function closeRunSummary(run, jsonPath, abortError = null) {
+  const { exitCode } = run.finish(abortError);
+  try {
+    const out = writeRunSummary(jsonPath, run.summary);
+    console.log(`📄 run summary: ${out.jsonPath} (+ ${path.basename(out.mdPath)})`);
+  } catch (e) {
+    console.error("❌ Could not write run summary:", e?.message || e);
+  }
+  return exitCode;
+}
+
+module.exports = {
+  EXIT_CODES,
+  errorCategory,
+  createRunSummary,
+  toMarkdown,
+  writeRunSummary,
+  summaryPath,
+  closeRunSummary,
+};
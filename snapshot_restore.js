@@ -0,0 +1,220 @@
+// snapshot_restore.js
+// Re-creates archived records from a delete snapshot (hubspot_snapshot.js) once HubSpot's own
+// restore window has passed.
+//
+// Per snapshot record:
+//   - old ID still live (restored in the UI)          → STILL_EXISTS, nothing written
+//   - contacts whose email matches a live contact     → MATCHED_BY_EMAIL, only empty properties filled
+//   - otherwise                                       → CREATED with every writable property
+// then the snapshot's associations are re-linked to the live/new record, keeping their labels.
+// Read-only and calculated properties are never sent.
+//
+// Records created or filled are journalled (sync_checkpoint.js) by snapshot ID + record ID, so
+// rerunning the same restore reports them as ALREADY_RESTORED instead of creating them again.
+
+const fs = require("fs");
+const path = require("path");
+const csv = require("csv-parser");
+
+const { withRetry, errorText } = require(path.join(__dirname, "hubspot_retry.js"));
+const { loadPropertyDefinitions, isWritable } = require(path.join(__dirname, "hubspot_schema.js"));
+const { READ_LIMIT, writeCsv } = require(path.join(__dirname, "sync_util.js"));
+
+const REPORT_HEADERS = [
+  "old_id", "email", "new_id", "status", "properties_restored", "associations_linked", "associations_failed", "error",
+];
+
+function writeReport(filePath, rows) {
+  writeCsv(filePath, rows, REPORT_HEADERS);
+}
+
+// old_id → new_id from an earlier report at the same path, so a rerun still reports where
+// ALREADY_RESTORED records went
+function readReportIds(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return Promise.resolve(new Map());
+  return new Promise((resolve, reject) => {
+    const ids = new Map();
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on("data", (row) => { if (row.new_id) ids.set(row.old_id, row.new_id); })
+      .on("end", () => resolve(ids))
+      .on("error", (err) => reject(err));
+  });
+}
+
+async function batchRead(hsClient, object, values, properties, idProperty) {
+  const found = new Map();
+  for (let i = 0; i < values.length; i += READ_LIMIT) {
+    const slice = values.slice(i, i + READ_LIMIT);
+    const res = await withRetry(() => hsClient.crm.objects.batchApi.read(object, {
+      inputs: slice.map((id) => ({ id })),
+      properties,
+      ...(idProperty ? { idProperty } : {}),
+    }));
+    for (const r of res?.results || []) {
+      const key = idProperty ? String(r.properties?.[idProperty] || "").toLowerCase() : String(r.id);
+      found.set(key, { id: String(r.id), properties: r.properties || {} });
+    }
+  }
+  return found;
+}
+
+// Re-links one record's snapshot associations; returns { linked, failed, errors }
+async function relinkAssociations(hsClient, object, newId, associations) {
+  let linked = 0;
+  let failed = 0;
+  const errors = [];
+
+  for (const [toType, targets] of Object.entries(associations || {})) {
+    if (!targets.length) continue;
+
+    const labelled = targets.filter((t) => t.types?.length);
+    const plain = targets.filter((t) => !t.types?.length);
+
+    const batches = [];
+    if (labelled.length) {
+      batches.push({
+        size: labelled.length,
+        call: () => hsClient.crm.associations.v4.batchApi.create(object, toType, {
+          inputs: labelled.map((t) => ({
+            _from: { id: newId },
+            to: { id: t.id },
+            types: t.types.map((x) => ({ associationCategory: x.category, associationTypeId: x.typeId })),
+          })),
+        }),
+      });
+    }
+    if (plain.length) {
+      batches.push({
+        size: plain.length,
+        call: () => hsClient.crm.associations.v4.batchApi.createDefault(object, toType, {
+          inputs: plain.map((t) => ({ _from: { id: newId }, to: { id: t.id } })),
+        }),
+      });
+    }
+
+    // 207 responses: results are the pairs that linked, errors say why the rest did not
+    for (const b of batches) {
+      try {
+        const res = await withRetry(b.call);
+        const ok = Math.min(b.size, (res?.results || []).length);
+        linked += ok;
+        failed += b.size - ok;
+        for (const e of res?.errors || []) errors.push(`${toType}: ${e?.message || e?.category}`);
+      } catch (err) {
+        failed += b.size;
+        errors.push(`${toType}: ${errorText(err)}`);
+      }
+    }
+  }
+
+  return { linked, failed, errors };
+}
+
+// Journal key of one snapshot record
+const restoreKey = (r) => `${r.snapshot_id}:${r.object}:${r.id}`;
+
+/**
+ * Restores `records` (from readSnapshotFile). With apply=false only the report is written
+ * (WOULD_CREATE / WOULD_FILL / STILL_EXISTS). A record snapshotted more than once is restored
+ * from its latest snapshot. `checkpoint` (openCheckpoint) skips records an earlier run restored.
+ * Returns { rows, counts }.
+ */
+async function restoreFromSnapshot({ hsClient, records, apply = false, reportPath, checkpoint = null }) {
+  const latest = new Map();
+  for (const r of records) latest.set(`${r.object}:${r.id}`, r);
+
+  const rows = [];
+  const previousIds = checkpoint ? await readReportIds(reportPath) : new Map();
+  const byObject = new Map();
+  for (const r of latest.values()) {
+    if (!byObject.has(r.object)) byObject.set(r.object, []);
+    byObject.get(r.object).push(r);
+  }
+
+  for (const [object, recs] of byObject) {
+    const definitions = await withRetry(() => loadPropertyDefinitions(hsClient, object));
+    const writable = (props) => Object.fromEntries(
+      Object.entries(props || {}).filter(([k, v]) => {
+        const def = definitions.get(k);
+        return def && isWritable(def) && v !== null && v !== undefined && String(v).trim() !== "";
+      })
+    );
+
+    const live = await batchRead(hsClient, object, recs.map((r) => String(r.id)), [], null);
+    const emails = object === "contacts"
+      ? Array.from(new Set(recs.map((r) => String(r.email || "").trim().toLowerCase()).filter(Boolean)))
+      : [];
+    const propNames = Array.from(new Set(recs.flatMap((r) => Object.keys(writable(r.properties)))));
+    const byEmail = emails.length ? await batchRead(hsClient, object, emails, propNames, "email") : new Map();
+
+    for (const r of recs) {
+      const oldId = String(r.id);
+      const email = String(r.email || "").trim().toLowerCase();
+      const row = { old_id: oldId, email, new_id: "", status: "", properties_restored: 0, associations_linked: 0, associations_failed: 0, error: "" };
+      rows.push(row);
+
+      if (checkpoint?.has(restoreKey(r))) {
+        row.new_id = previousIds.get(oldId) || "";
+        row.status = "ALREADY_RESTORED";
+        continue;
+      }
+
+      if (live.has(oldId)) {
+        row.new_id = oldId;
+        row.status = "STILL_EXISTS";
+        continue;
+      }
+
+      const props = writable(r.properties);
+      const match = email ? byEmail.get(email) : null;
+      const send = match
+        ? Object.fromEntries(Object.entries(props).filter(([k]) => String(match.properties[k] ?? "").trim() === ""))
+        : props;
+      row.properties_restored = Object.keys(send).length;
+      row.associations_linked = Object.values(r.associations || {}).reduce((n, list) => n + list.length, 0);
+
+      if (!apply) {
+        row.new_id = match ? match.id : "";
+        row.status = match ? "WOULD_FILL" : "WOULD_CREATE";
+        continue;
+      }
+
+      try {
+        if (match) {
+          if (Object.keys(send).length) {
+            await withRetry(() => hsClient.crm.objects.basicApi.update(object, match.id, { properties: send }));
+          }
+          row.new_id = match.id;
+          row.status = "MATCHED_BY_EMAIL";
+        } else {
+          const created = await withRetry(() => hsClient.crm.objects.basicApi.create(object, { properties: send, associations: [] }));
+          row.new_id = String(created.id);
+          row.status = "CREATED";
+        }
+        checkpoint?.add(restoreKey(r));
+      } catch (err) {
+        row.status = "ERROR";
+        row.associations_linked = 0;
+        row.error = errorText(err);
+        continue;
+      }
+
+      const a = await relinkAssociations(hsClient, object, row.new_id, r.associations);
+      row.associations_linked = a.linked;
+      row.associations_failed = a.failed;
+      row.error = a.errors.join("; ");
+      console.log(`✅ ${row.status} ${oldId} → ${row.new_id} (${row.properties_restored} props, ${a.linked} associations${a.failed ? `, ${a.failed} failed` : ""})`);
+    }
+  }
+
+  if (reportPath) writeReport(reportPath, rows);
+
+  const counts = {};
+  for (const r of rows) counts[r.status] = (counts[r.status] || 0) + 1;
+  return { rows, counts };
+}
+
+module.exports = {
+  restoreFromSnapshot,
+};
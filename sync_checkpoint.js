@@ -0,0 +1,135 @@
+// sync_checkpoint.js
+// Run-scoped, append-only checkpoint journal for the BigQuery → HubSpot sync engine.
+//
+// Each job gets its own files in the checkpoint dir:
+//   <jobId>.meta.json   identity (object, SQL hash, property mapping, mode) + timestamps
+//   <jobId>.ids         one processed ID per line, appended as each record finishes
+//
+// The jobId is a hash of the identity, so a different SQL or mapping never reuses
+// another job's checkpoint. Appending per record means a crash mid-wave loses at
+// most the line being written; a truncated last line is ignored on load.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(s).digest("hex");
+}
+
+// JSON with sorted keys so { a, b } and { b, a } hash the same; functions (custom transforms) by source
+function stableStringify(v) {
+  if (typeof v === "function") return JSON.stringify(`fn:${v.toString()}`);
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+/**
+ * Builds the job identity. `fields` is any JSON-serialisable description of what the
+ * job does (object, SQL, mapping, match key, mode...); `sql` is hashed rather than stored.
+ */
+function jobIdentity({ sql, ...fields }) {
+  const sqlHash = sql ? sha256(sql.replace(/\s+/g, " ").trim()).slice(0, 16) : null;
+  const identity = { ...fields, sqlHash };
+  return { jobId: sha256(stableStringify(identity)).slice(0, 16), ...identity };
+}
+
+function journalPaths(dir, jobId) {
+  return {
+    meta: path.join(dir, `${jobId}.meta.json`),
+    ids: path.join(dir, `${jobId}.ids`),
+  };
+}
+
+// Only newline-terminated lines count; anything after the last newline is a torn write.
+function completeLines(raw) {
+  return raw.slice(0, raw.lastIndexOf("\n") + 1);
+}
+
+function readIds(idsPath) {
+  const raw = fs.existsSync(idsPath) ? fs.readFileSync(idsPath, "utf8") : "";
+  return new Set(completeLines(raw).split("\n").filter(Boolean));
+}
+
+/**
+ * Opens (or creates) the journal for a job. Returns { jobId, has, add, size, close }.
+ * With dir = null checkpointing is disabled: nothing is read or written.
+ */
+function openCheckpoint(dir, identity) {
+  if (!dir) {
+    const mem = new Set();
+    return {
+      jobId: identity.jobId,
+      path: null,
+      has: (id) => mem.has(String(id)),
+      add: (id) => { mem.add(String(id)); },
+      size: () => mem.size,
+      close: () => {},
+    };
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const paths = journalPaths(dir, identity.jobId);
+
+  const now = new Date().toISOString();
+  const prevMeta = fs.existsSync(paths.meta) ? JSON.parse(fs.readFileSync(paths.meta, "utf8")) : null;
+  fs.writeFileSync(
+    paths.meta,
+    JSON.stringify({ ...identity, createdAt: prevMeta?.createdAt || now, lastOpenedAt: now }, null, 2),
+    "utf8"
+  );
+
+  const raw = fs.existsSync(paths.ids) ? fs.readFileSync(paths.ids, "utf8") : "";
+  const complete = completeLines(raw);
+  const ids = new Set(complete.split("\n").filter(Boolean));
+
+  // drop a torn last line left by a crash so new appends start on a clean line
+  if (complete.length !== raw.length) fs.truncateSync(paths.ids, Buffer.byteLength(complete));
+
+  const fd = fs.openSync(paths.ids, "a");
+
+  return {
+    jobId: identity.jobId,
+    path: paths.ids,
+    has: (id) => ids.has(String(id)),
+    add: (id) => {
+      const key = String(id);
+      if (ids.has(key)) return;
+      ids.add(key);
+      fs.writeSync(fd, `${key}\n`);
+    },
+    size: () => ids.size,
+    close: () => fs.closeSync(fd),
+  };
+}
+
+/** Lists every job in the checkpoint dir with its processed count. */
+function listCheckpoints(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith(".meta.json"))
+    .map((f) => {
+      const meta = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+      return { ...meta, processed: readIds(journalPaths(dir, meta.jobId).ids).size };
+    })
+    .sort((a, b) => String(b.lastOpenedAt).localeCompare(String(a.lastOpenedAt)));
+}
+
+/** Deletes a job's journal, meta and any other <jobId>.* files (e.g. its retry queue). */
+function resetCheckpoint(dir, jobId) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  const removed = fs.readdirSync(dir).filter((f) => f.startsWith(`${jobId}.`));
+  for (const f of removed) fs.unlinkSync(path.join(dir, f));
+  return removed;
+}
+
+module.exports = {
+  jobIdentity,
+  openCheckpoint,
+  listCheckpoints,
+  resetCheckpoint,
+};
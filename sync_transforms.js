@@ -0,0 +1,165 @@
+// sync_transforms.js
+// Per-property value transforms for the BigQuery → HubSpot property mapping.
+//
+// A mapping entry is either a column name or { column, transforms }:
+//
+//   property: {
+//     email:          { column: "email", transforms: ["trim", "lower"] },
+//     birthdate:      { column: "dob", transforms: ["date"] },           // midnight UTC epoch ms
+//     last_seen_at:   { column: "seen_ts", transforms: ["datetime"] },
+//     annualrevenue:  { column: "revenue", transforms: [{ name: "number", decimals: 2 }] },
+//     is_customer:    { column: "customer_flag", transforms: ["boolean"] },
+//     industry:       { column: "industry_label", transforms: [{ name: "enum", options: { "Computer Software": "COMPUTER_SOFTWARE" } }] },
+//     product_lines:  { column: "lines", transforms: [{ name: "multi", split: "," }] },
+//     country:        "country_normalized",
+//   }
+//
+// A transform is a built-in name, { name, ...args }, a name registered with
+// registerTransform(), or an inline function (value, args, row) => value.
+// Built-ins pass null/undefined through untouched; a transform that throws fails
+// only that row (TRANSFORM_ERROR in the sync CSV).
+
+// BigQuery DATE/DATETIME/TIMESTAMP/NUMERIC come back as wrapper objects with a `.value`
+function unwrap(v) {
+  if (v instanceof Date) return v;
+  if (v && typeof v === "object" && "value" in v) return v.value;
+  return v;
+}
+
+const nullSafe = (fn) => (v, args, row) => (v === null || v === undefined ? v : fn(unwrap(v), args, row));
+
+function toDateOnlyMs(v) {
+  if (v instanceof Date) return Date.UTC(v.getUTCFullYear(), v.getUTCMonth(), v.getUTCDate());
+  if (typeof v === "number") return toDateOnlyMs(new Date(v));
+
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(v).trim());
+  if (m) return Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+
+  const parsed = Date.parse(String(v));
+  if (Number.isNaN(parsed)) throw new Error(`Not a date: ${v}`);
+  return toDateOnlyMs(new Date(parsed));
+}
+
+function toEpochMs(v) {
+  if (v instanceof Date) return v.getTime();
+  if (typeof v === "number") return v;
+
+  const s = String(v).trim();
+  // BigQuery DATETIME has no zone; treat it as UTC like HubSpot does
+  const withZone = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(s) ? `${s.replace(" ", "T")}Z` : s;
+  const parsed = Date.parse(withZone);
+  if (Number.isNaN(parsed)) throw new Error(`Not a datetime: ${v}`);
+  return parsed;
+}
+
+const TRUE_VALUES = ["true", "t", "yes", "y", "1", "on"];
+const FALSE_VALUES = ["false", "f", "no", "n", "0", "off"];
+
+const BUILT_INS = {
+  trim: nullSafe((v) => String(v).trim()),
+  lower: nullSafe((v) => String(v).toLowerCase()),
+  upper: nullSafe((v) => String(v).toUpperCase()),
+  title: nullSafe((v) => String(v).toLowerCase().replace(/(^|[\s\-'])(\p{L})/gu, (m, p, c) => p + c.toUpperCase())),
+
+  // HubSpot date properties want midnight UTC in epoch milliseconds
+  date: nullSafe((v) => String(toDateOnlyMs(v))),
+  datetime: nullSafe((v) => String(toEpochMs(v))),
+
+  // { decimals }: round to N places; strips thousands separators and currency symbols
+  number: nullSafe((v, { decimals } = {}) => {
+    const s = String(v).trim().replace(/[,\s$€£]/g, "");
+    if (s === "") return "";
+    const n = Number(s);
+    if (!Number.isFinite(n)) throw new Error(`Not a number: ${v}`);
+    return decimals === undefined ? String(n) : n.toFixed(decimals);
+  }),
+
+  // { strict }: throw on unrecognised values instead of dropping them
+  boolean: nullSafe((v, { strict = false } = {}) => {
+    const s = String(v).trim().toLowerCase();
+    if (TRUE_VALUES.includes(s)) return "true";
+    if (FALSE_VALUES.includes(s)) return "false";
+    if (strict) throw new Error(`Not a boolean: ${v}`);
+    return null;
+  }),
+
+  // { options: { label: value }, caseInsensitive = true, fallback = "keep" | "null" | "error" }
+  enum: nullSafe((v, { options = {}, caseInsensitive = true, fallback = "keep" } = {}) => {
+    const s = String(v).trim();
+    if (s in options) return options[s];
+    if (caseInsensitive) {
+      const key = Object.keys(options).find((k) => k.toLowerCase() === s.toLowerCase());
+      if (key !== undefined) return options[key];
+    }
+    if (fallback === "null") return null;
+    if (fallback === "error") throw new Error(`No enum option for label: ${v}`);
+    return s;
+  }),
+
+  // multi-checkbox: arrays or delimited strings → "a;b;c" (HubSpot's separator)
+  // { split = ";", options } — options maps labels to values like `enum`
+  multi: nullSafe((v, { split = ";", options = null } = {}) => {
+    const parts = (Array.isArray(v) ? v.map(unwrap) : String(v).split(split))
+      .map((x) => String(x ?? "").trim())
+      .filter(Boolean)
+      .map((x) => (options && x in options ? options[x] : x));
+    return Array.from(new Set(parts)).join(";");
+  }),
+};
+
+const registry = new Map(Object.entries(BUILT_INS));
+
+/** Registers a custom transform usable by name in any mapping: fn(value, args, row) → value. */
+function registerTransform(name, fn) {
+  if (!name || typeof fn !== "function") throw new Error("registerTransform(name, fn) needs a name and a function");
+  registry.set(name, fn);
+}
+
+function resolveTransform(spec) {
+  if (typeof spec === "function") return { fn: spec, args: {}, label: spec.name || "custom" };
+
+  const name = typeof spec === "string" ? spec : spec?.name;
+  const fn = registry.get(name);
+  if (!fn) throw new Error(`Unknown transform: ${JSON.stringify(name)}`);
+
+  const args = typeof spec === "object" ? { ...spec } : {};
+  delete args.name;
+  return { fn, args, label: name };
+}
+
+/**
+ * Normalises the sync `property` / `column_name` args into
+ * { [hsProp]: { column, transforms: [{ fn, args, label }] } } and checks every transform exists.
+ */
+function normalizeMapping(property, column_name) {
+  const raw = typeof property === "object" && property !== null ? property : { [property]: column_name };
+  const mapping = {};
+
+  for (const [hsProp, entry] of Object.entries(raw)) {
+    const column = typeof entry === "string" ? entry : entry?.column;
+    if (!column) throw new Error(`Mapping for ${hsProp} is missing a BigQuery column`);
+    const transforms = typeof entry === "object" ? (entry.transforms || []) : [];
+    mapping[hsProp] = { column, transforms: transforms.map(resolveTransform) };
+  }
+
+  return mapping;
+}
+
+/** Applies one mapping entry's transforms to a value; errors name the property and transform. */
+function applyTransforms(hsProp, value, transforms, row) {
+  let v = value;
+  for (const t of transforms) {
+    try {
+      v = t.fn(v, t.args, row);
+    } catch (e) {
+      throw new Error(`${hsProp}: ${t.label} transform failed: ${e?.message || e}`);
+    }
+  }
+  return v;
+}
+
+module.exports = {
+  registerTransform,
+  normalizeMapping,
+  applyTransforms,
+};
@@ -0,0 +1,80 @@
+// sync_util.js
+// Helpers shared by the sync libraries: CSV reports (rejects, exclusions, restore and association
+// results) and batching.
+
+const fs = require("fs");
+const path = require("path");
+
+// HubSpot batch reads (records and associations) accept at most 100 inputs per call
+const READ_LIMIT = 100;
+
+/** ---------- CSV ---------- */
+function csvEscape(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLines(rows, headers) {
+  return rows.map((r) => headers.map((h) => csvEscape(r[h])).join(","));
+}
+
+/** Writes `rows` to `filePath` (replacing it), header first. */
+function writeCsv(filePath, rows, headers) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const lines = [headers.join(","), ...csvLines(rows, headers)];
+  fs.writeFileSync(filePath, `${lines.join("\n")}\n`, "utf8");
+}
+
+// first line of a file (the header), read without loading the whole file
+function firstLine(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buf = Buffer.alloc(64 * 1024);
+    const n = fs.readSync(fd, buf, 0, buf.length, 0);
+    return buf.toString("utf8", 0, n).split(/\r?\n/)[0];
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Throws when `filePath` exists with another header than `headers`: rows appended under an old
+ * header would be read back into the wrong columns (e.g. a sync CSV from before the before/after
+ * columns, which rollback would then find no UPDATED rows in).
+ */
+function checkCsvHeader(filePath, headers) {
+  if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).size) return;
+  const found = firstLine(filePath);
+  if (found !== headers.join(",")) {
+    throw new Error(
+      `${filePath} has the columns ${found}, expected ${headers.join(",")}; move it away or use another file`
+    );
+  }
+}
+
+/** Appends `rows` to `filePath`, writing the header when the file is new. No rows, no write. */
+function writeCsvAppend(filePath, rows, headers) {
+  if (!rows.length) return;
+  checkCsvHeader(filePath, headers);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const lines = csvLines(rows, headers);
+  if (!fs.existsSync(filePath)) lines.unshift(headers.join(","));
+  fs.appendFileSync(filePath, `${lines.join("\n")}\n`, "utf8");
+}
+
+/** ---------- Batching ---------- */
+function chunk(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+module.exports = {
+  READ_LIMIT,
+  csvEscape,
+  checkCsvHeader,
+  writeCsv,
+  writeCsvAppend,
+  chunk,
+};
@@ -0,0 +1,78 @@
+// Bisecting HubSpot batch writes down to the records that fail them.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { sendBisected } = require(path.join(__dirname, "..", "batch_bisect.js"));
+
+const NO_RETRY = { maxRetries: 0 };
+
+function httpError(code) {
+  const e = new Error(`HTTP-Code: ${code}`);
+  e.code = code;
+  e.body = { status: "error", message: `failed with ${code}` };
+  return e;
+}
+
+// send() that rejects any part containing one of `bad` with `code`
+function failingOn(bad, code) {
+  const parts = [];
+  const send = async (part) => {
+    parts.push(part.map((x) => x.id));
+    if (part.some((x) => bad.includes(x.id))) throw httpError(code);
+    return { results: part };
+  };
+  return { send, parts };
+}
+
+const items = (...ids) => ids.map((id) => ({ id }));
+
+for (const code of [400, 409, 422]) {
+  test(`a ${code} batch is bisected down to the bad records`, async () => {
+    const { send, parts } = failingOn(["3", "6"], code);
+    const out = await sendBisected(items("1", "2", "3", "4", "5", "6", "7", "8"), send, { retry: NO_RETRY });
+
+    assert.deepEqual(out.written.map((x) => x.id).sort(), ["1", "2", "4", "5", "7", "8"]);
+    assert.deepEqual(out.rejected.map((r) => r.item.id), ["3", "6"]);
+    assert.match(out.rejected[0].error, new RegExp(String(code)));
+    assert.deepEqual(out.failed, []);
+    assert.equal(out.calls, parts.length);
+    assert.deepEqual(parts[0], ["1", "2", "3", "4", "5", "6", "7", "8"]);
+  });
+}
+
+test("other permanent errors fail the whole batch without bisecting", async () => {
+  const { send, parts } = failingOn(["2"], 403);
+  const out = await sendBisected(items("1", "2", "3"), send, { retry: NO_RETRY });
+
+  assert.equal(parts.length, 1);
+  assert.deepEqual(out.failed.map((f) => f.item.id), ["1", "2", "3"]);
+  assert.deepEqual(out.written, []);
+  assert.deepEqual(out.rejected, []);
+});
+
+test("a 207 rejects the records named in errors[] without splitting", async () => {
+  let calls = 0;
+  const send = async (part) => {
+    calls += 1;
+    return {
+      results: part.filter((x) => x.email !== "b@x"),
+      errors: [{ category: "VALIDATION_ERROR", message: "bad email", context: { ids: ["b@x"] } }],
+    };
+  };
+  const out = await sendBisected(
+    [{ email: "a@x" }, { email: "b@x" }, { email: "c@x" }],
+    send,
+    { keyOf: (x) => x.email, retry: NO_RETRY }
+  );
+
+  assert.equal(calls, 1);
+  assert.deepEqual(out.written.map((x) => x.email), ["a@x", "c@x"]);
+  assert.deepEqual(out.rejected.map((r) => r.item.email), ["b@x"]);
+});
+
+test("nothing is sent for an empty list", async () => {
+  const out = await sendBisected([], async () => assert.fail("send called"));
+  assert.equal(out.calls, 0);
+});
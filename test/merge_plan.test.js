@@ -0,0 +1,76 @@
+// Union-find clustering, chain flattening and BLOCKED clusters in buildMergePlan.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { buildMergePlan, applyHubSpotCheck, summarizeMergePlan } = require(path.join(__dirname, "..", "merge_plan.js"));
+
+const group = (primary_id, merge_these_ids, merge_key = null) => ({ merge_key, primary_id, merge_these_ids });
+
+test("a chain C → B → A merges every member straight into A", () => {
+  const plan = buildMergePlan([group("B", ["C"], "g1"), group("A", ["B"], "g2")]);
+
+  assert.equal(plan.clusters.length, 1);
+  const [c] = plan.clusters;
+  assert.equal(c.status, "READY");
+  assert.equal(c.primary, "A");
+  assert.deepEqual(c.merge, ["B", "C"]);
+  assert.deepEqual(c.groups, ["g1", "g2"]);
+  assert.deepEqual(c.notes, ["C chained via B, merging into A"]);
+  assert.equal(summarizeMergePlan(plan).chained, 1);
+});
+
+test("separate groups stay separate clusters", () => {
+  const plan = buildMergePlan([group("A", ["B"]), group("X", ["Y", "Z"])]);
+
+  assert.deepEqual(plan.clusters.map((c) => [c.primary, c.merge]), [["A", ["B"]], ["X", ["Y", "Z"]]]);
+});
+
+test("a cycle A → B → A is BLOCKED with no primary", () => {
+  const plan = buildMergePlan([group("A", ["B"]), group("B", ["A"])]);
+
+  const [c] = plan.clusters;
+  assert.equal(c.status, "BLOCKED");
+  assert.equal(c.primary, null);
+  assert.deepEqual(c.merge, []);
+  assert.match(c.issues[0], /^cycle through /);
+});
+
+test("a longer cycle is BLOCKED too", () => {
+  const plan = buildMergePlan([group("A", ["B"]), group("B", ["C"]), group("C", ["A"])]);
+
+  assert.equal(plan.clusters[0].status, "BLOCKED");
+  assert.match(plan.clusters[0].issues.join("\n"), /cycle through /);
+});
+
+test("a member asked to merge into two primaries is BLOCKED", () => {
+  const plan = buildMergePlan([group("A", ["B"]), group("C", ["B"])]);
+
+  const [c] = plan.clusters;
+  assert.equal(c.status, "BLOCKED");
+  assert.equal(c.issues[0], "B is a secondary of 2 primaries (A, C)");
+});
+
+test("self-merges are ignored and noted", () => {
+  const plan = buildMergePlan([group("A", ["A", "B"]), group("X", ["X"])]);
+
+  assert.equal(plan.clusters.length, 1);
+  assert.deepEqual(plan.clusters[0].merge, ["B"]);
+  assert.deepEqual(plan.clusters[0].notes, ["A listed as merging into itself, ignored"]);
+});
+
+test("the HubSpot check blocks on a merged primary and skips missing secondaries", () => {
+  const plan = buildMergePlan([group("A", ["B", "C"]), group("X", ["Y"])]);
+  applyHubSpotCheck(plan, new Map([
+    ["C", { reason: "MISSING" }],
+    ["X", { reason: "MERGED", merged_into: "Q" }],
+  ]));
+
+  const [a, x] = plan.clusters;
+  assert.equal(a.status, "READY");
+  assert.deepEqual(a.merge, ["B"]);
+  assert.deepEqual(a.skipped, [{ id: "C", reason: "missing" }]);
+  assert.equal(x.status, "BLOCKED");
+  assert.deepEqual(x.issues, ["primary X was already merged into Q"]);
+});
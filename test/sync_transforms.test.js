@@ -0,0 +1,69 @@
+// Transform registration and mapping normalisation for the BigQuery → HubSpot sync.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { registerTransform, normalizeMapping, applyTransforms } = require(path.join(__dirname, "..", "sync_transforms.js"));
+
+const run = (mapping, hsProp, value, row = {}) => applyTransforms(hsProp, value, mapping[hsProp].transforms, row);
+
+test("a registered transform is usable by name, with its args and the row", () => {
+  registerTransform("prefix", (v, { with: p }, row) => `${p}${v}-${row.id}`);
+  const mapping = normalizeMapping({ code: { column: "c", transforms: [{ name: "prefix", with: "X-" }] } });
+
+  assert.equal(mapping.code.column, "c");
+  assert.equal(mapping.code.transforms[0].label, "prefix");
+  assert.deepEqual(mapping.code.transforms[0].args, { with: "X-" });
+  assert.equal(run(mapping, "code", "7", { id: "42" }), "X-7-42");
+});
+
+test("registering a name again replaces the transform", () => {
+  registerTransform("shout", (v) => `${v}!`);
+  registerTransform("shout", (v) => `${v}!!`);
+  const mapping = normalizeMapping({ note: { column: "n", transforms: ["shout"] } });
+
+  assert.equal(run(mapping, "note", "hi"), "hi!!");
+});
+
+test("registerTransform needs a name and a function", () => {
+  assert.throws(() => registerTransform("", () => 1), /needs a name and a function/);
+  assert.throws(() => registerTransform("nope", "not a function"), /needs a name and a function/);
+});
+
+test("an unknown transform fails when the mapping is normalised", () => {
+  assert.throws(
+    () => normalizeMapping({ email: { column: "email", transforms: ["trim", "does_not_exist"] } }),
+    /Unknown transform: "does_not_exist"/
+  );
+});
+
+test("transforms run in order; built-ins and inline functions mix", () => {
+  const mapping = normalizeMapping({
+    email: { column: "email", transforms: ["trim", "lower", (v) => v.replace("@", " at ")] },
+  });
+
+  assert.equal(run(mapping, "email", "  Ann@Example.COM "), "ann at example.com");
+});
+
+test("the single property / column form and plain column names", () => {
+  assert.deepEqual(normalizeMapping("country", "country_normalized"), {
+    country: { column: "country_normalized", transforms: [] },
+  });
+  assert.deepEqual(normalizeMapping({ state: "state_normalized" }).state, { column: "state_normalized", transforms: [] });
+  assert.throws(() => normalizeMapping({ state: {} }), /Mapping for state is missing a BigQuery column/);
+});
+
+test("a failing transform names the property and transform", () => {
+  registerTransform("explode", () => { throw new Error("boom"); });
+  const mapping = normalizeMapping({ score: { column: "s", transforms: ["explode"] } });
+
+  assert.throws(() => run(mapping, "score", "1"), /^Error: score: explode transform failed: boom$/);
+});
+
+test("built-ins unwrap BigQuery values and pass null through", () => {
+  const mapping = normalizeMapping({ birthdate: { column: "dob", transforms: ["date"] } });
+
+  assert.equal(run(mapping, "birthdate", { value: "2024-03-05" }), String(Date.UTC(2024, 2, 5)));
+  assert.equal(run(mapping, "birthdate", null), null);
+});